@@ -0,0 +1,133 @@
+// ─── AI Response Cache ───────────────────────────────────────────────
+// LRU cache for generated AI answers (summaries, travel advice, verdicts).
+//   • per-entry TTL, expired entries are dropped on read and by sweep()
+//   • size cap: the least recently used entry is evicted first
+//   • optional JSON file store so answers survive restarts and redeploys;
+//     writes are batched, and flush() writes what is pending before shutdown
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const DEFAULT_TTL = 15 * 60 * 1000; // 15 minutes
+const DEFAULT_MAX_ENTRIES = 500;
+const SAVE_DELAY = 5000; // Batch writes that land close together into one save
+
+function createAiCache({ ttl = DEFAULT_TTL, maxEntries = DEFAULT_MAX_ENTRIES, file = null } = {}) {
+  const entries = new Map(); // key → { data, expires }, oldest use first
+  const stats = { hits: 0, misses: 0 };
+  let saveTimer = null;
+
+  function evictOverflow() {
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  }
+
+  function get(key) {
+    const entry = entries.get(key);
+    if (!entry || entry.expires <= Date.now()) {
+      if (entry) entries.delete(key);
+      stats.misses++;
+      return null;
+    }
+    // Re-insert so Map order tracks recency of use
+    entries.delete(key);
+    entries.set(key, entry);
+    stats.hits++;
+    return entry.data;
+  }
+
+  function set(key, data, entryTtl = ttl) {
+    entries.delete(key);
+    entries.set(key, { data, expires: Date.now() + entryTtl });
+    evictOverflow();
+    scheduleSave();
+  }
+
+  function sweep() {
+    const now = Date.now();
+    let removed = 0;
+    for (const [key, entry] of entries) {
+      if (entry.expires <= now) {
+        entries.delete(key);
+        removed++;
+      }
+    }
+    if (removed) scheduleSave();
+    return removed;
+  }
+
+  // ─── Disk Store ──────────────────────────────────────────────────
+  // File format: { version: 1, entries: [[key, { data, expires }], ...] } in LRU order
+
+  function load() {
+    if (!file) return;
+    let raw;
+    try {
+      raw = fs.readFileSync(file, 'utf8');
+    } catch (e) {
+      if (e.code !== 'ENOENT') logger.warn('AI cache: could not read store', { file, error: e.message });
+      return;
+    }
+
+    try {
+      const parsed = JSON.parse(raw);
+      const now = Date.now();
+      for (const [key, entry] of parsed.entries || []) {
+        if (entry && entry.expires > now) entries.set(key, entry);
+      }
+      evictOverflow();
+    } catch (e) {
+      logger.warn('AI cache: ignoring corrupt store', { file, error: e.message });
+    }
+  }
+
+  function scheduleSave() {
+    if (!file || saveTimer) return;
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      save().catch(e => logger.warn('AI cache: save failed', { file, error: e.message }));
+    }, SAVE_DELAY);
+    saveTimer.unref();
+  }
+
+  // Writes to a temp file and renames it, so a crash mid-write never leaves a truncated store
+  async function save() {
+    if (!file) return;
+    const tmp = `${file}.${process.pid}.tmp`;
+    const body = JSON.stringify({ version: 1, entries: [...entries] });
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(tmp, body);
+    await fs.promises.rename(tmp, file);
+  }
+
+  // Synchronous save of changes still waiting for the batch timer; for shutdown,
+  // when the process may exit before an async write or the timer would run
+  function flush() {
+    if (!file || !saveTimer) return;
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    const tmp = `${file}.${process.pid}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(tmp, JSON.stringify({ version: 1, entries: [...entries] }));
+      fs.renameSync(tmp, file);
+    } catch (e) {
+      logger.warn('AI cache: flush failed', { file, error: e.message });
+    }
+  }
+
+  load();
+
+  return {
+    get,
+    set,
+    sweep,
+    save,
+    flush,
+    get size() { return entries.size; },
+    stats: () => ({ ...stats, size: entries.size })
+  };
+}
+
+module.exports = { createAiCache };
@@ -0,0 +1,106 @@
+// ─── Gemini Provider ─────────────────────────────────────────────────
+// Google Gemini via the generativelanguage REST API. Needs GOOGLE_API_KEY;
+// GEMINI_MODEL picks the model (default gemini-2.0-flash).
+const { ApiError } = require('../errors');
+const { createUpstreamClient } = require('../upstream');
+const { readSseData } = require('./sse');
+
+const BASE_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+const DEFAULT_MODEL = 'gemini-2.0-flash';
+
+// Converts our JSON schema subset to Gemini's responseSchema (OpenAPI subset, upper-case types)
+function toGeminiSchema(schema) {
+  const out = { type: schema.type.toUpperCase() };
+  if (schema.nullable) out.nullable = true;
+  if (schema.enum) out.enum = schema.enum;
+  if (schema.minItems !== undefined) out.minItems = schema.minItems;
+  if (schema.maxItems !== undefined) out.maxItems = schema.maxItems;
+  if (schema.items) out.items = toGeminiSchema(schema.items);
+  if (schema.properties) {
+    out.properties = {};
+    for (const [key, child] of Object.entries(schema.properties)) out.properties[key] = toGeminiSchema(child);
+    out.propertyOrdering = Object.keys(schema.properties);
+  }
+  if (schema.required) out.required = schema.required;
+  return out;
+}
+
+// Gemini HTTP failure → API error (quota exhaustion is retryable after a pause)
+function geminiError(response, data) {
+  const source = { upstream: { service: 'gemini', status: response.status } };
+  const message = data.error?.message || 'Gemini API Error';
+  if (response.status === 429 || /quota/i.test(message)) return new ApiError('UPSTREAM_RATE_LIMITED', message, source);
+  if (response.status === 401 || response.status === 403) return new ApiError('NOT_CONFIGURED', message, source);
+  return new ApiError('UPSTREAM_UNAVAILABLE', message, source);
+}
+
+function tokens(usageMetadata = {}) {
+  return { promptTokens: usageMetadata.promptTokenCount, responseTokens: usageMetadata.candidatesTokenCount };
+}
+
+function createGeminiProvider({
+  apiKey = process.env.GOOGLE_API_KEY,
+  model = process.env.GEMINI_MODEL || DEFAULT_MODEL,
+  upstream = createUpstreamClient(),
+  onUsage = () => {}
+} = {}) {
+  // Placeholder values from .env templates count as missing
+  const configured = Boolean(apiKey) && !apiKey.startsWith('PLACEHOLDER');
+
+  function post(method, prompt, responseSchema, { signal, stream } = {}) {
+    if (!configured) throw new ApiError('NOT_CONFIGURED', 'AI features disabled (No API Key)');
+    const query = stream ? `alt=sse&key=${apiKey}` : `key=${apiKey}`;
+    return upstream.request('gemini', `${BASE_URL}/${model}:${method}?${query}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      signal,
+      stream,
+      body: JSON.stringify({
+        contents: [{ parts: [{ text: prompt }] }],
+        ...(responseSchema && {
+          generationConfig: { responseMimeType: 'application/json', responseSchema: toGeminiSchema(responseSchema) }
+        })
+      })
+    });
+  }
+
+  // Pass `responseSchema` to request JSON output constrained to that schema
+  async function generate({ prompt }, { responseSchema } = {}) {
+    const response = await post('generateContent', prompt, responseSchema);
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw geminiError(response, data);
+
+    // Extract text from Gemini response structure
+    const text = data.candidates?.[0]?.content?.parts?.[0]?.text || 'No content generated';
+    onUsage({ mode: 'generate', prompt, text, ...tokens(data.usageMetadata) });
+    return text;
+  }
+
+  // Relays text chunks to `onToken` as Gemini produces them and resolves
+  // with the full text. Uses the SSE form of streamGenerateContent.
+  async function stream({ prompt }, { responseSchema, onToken = () => {}, signal } = {}) {
+    const response = await post('streamGenerateContent', prompt, responseSchema, { signal, stream: true });
+    if (!response.ok) throw geminiError(response, await response.json().catch(() => ({})));
+
+    // Each `data:` line carries a partial GenerateContentResponse
+    let text = '';
+    let usage; // Totals arrive with the last chunk
+    await readSseData(response.body, line => {
+      const data = JSON.parse(line);
+      const part = data.candidates?.[0]?.content?.parts?.[0]?.text;
+      if (data.usageMetadata) usage = data.usageMetadata;
+      if (part) {
+        text += part;
+        onToken(part);
+      }
+    });
+
+    text = text || 'No content generated';
+    onUsage({ mode: 'stream', prompt, text, ...tokens(usage) });
+    return text;
+  }
+
+  return { name: 'gemini', model, configured, generate, stream };
+}
+
+module.exports = { createGeminiProvider, toGeminiSchema };
@@ -0,0 +1,32 @@
+// ─── AI Provider Registry ────────────────────────────────────────────
+// Selects the text generation backend from the AI_PROVIDER env var.
+//   gemini (default) → Google Gemini (GOOGLE_API_KEY)
+//   openai           → any OpenAI-compatible chat completions server
+//   template         → deterministic rule-based answers (no key, no network)
+//
+// Every provider exposes the same interface:
+//   name, model, configured
+//   generate(request, { responseSchema })                    → text
+//   stream(request, { responseSchema, onToken, signal })     → text
+// where request is a rendered prompt template: { prompt, template, params }.
+// Model-backed providers report each call to `onUsage` with
+// { mode, prompt, text, promptTokens, responseTokens }.
+const { createGeminiProvider } = require('./gemini');
+const { createOpenAiProvider } = require('./openai');
+const { createTemplateProvider } = require('./template');
+
+const providers = {
+  gemini: createGeminiProvider,
+  openai: createOpenAiProvider,
+  template: createTemplateProvider
+};
+
+function createAiProvider(name = process.env.AI_PROVIDER || 'gemini', options = {}) {
+  const factory = providers[name.toLowerCase()];
+  if (!factory) {
+    throw new Error(`Unknown AI_PROVIDER "${name}" (expected one of: ${Object.keys(providers).join(', ')})`);
+  }
+  return factory(options);
+}
+
+module.exports = { createAiProvider };
@@ -0,0 +1,92 @@
+// ─── OpenAI-Compatible Provider ──────────────────────────────────────
+// Any server speaking the OpenAI chat completions API: OpenAI itself, or a
+// local model server (Ollama, llama.cpp, vLLM, LM Studio) via OPENAI_BASE_URL.
+//   OPENAI_BASE_URL  API root including /v1 (default https://api.openai.com/v1)
+//   OPENAI_API_KEY   bearer token; local servers usually need none
+//   OPENAI_MODEL     model name (default gpt-4o-mini)
+const { ApiError } = require('../errors');
+const { createUpstreamClient } = require('../upstream');
+const { readSseData } = require('./sse');
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODEL = 'gpt-4o-mini';
+
+function openAiError(response, data) {
+  const source = { upstream: { service: 'openai', status: response.status } };
+  const message = data.error?.message || `AI server error (HTTP ${response.status})`;
+  if (response.status === 429) return new ApiError('UPSTREAM_RATE_LIMITED', message, source);
+  if (response.status === 401 || response.status === 403) return new ApiError('NOT_CONFIGURED', message, source);
+  return new ApiError('UPSTREAM_UNAVAILABLE', message, source);
+}
+
+function tokens(usage = {}) {
+  return { promptTokens: usage.prompt_tokens, responseTokens: usage.completion_tokens };
+}
+
+function createOpenAiProvider({
+  baseUrl = process.env.OPENAI_BASE_URL || DEFAULT_BASE_URL,
+  apiKey = process.env.OPENAI_API_KEY,
+  model = process.env.OPENAI_MODEL || DEFAULT_MODEL,
+  upstream = createUpstreamClient(),
+  onUsage = () => {}
+} = {}) {
+  const hasKey = Boolean(apiKey) && !apiKey.startsWith('PLACEHOLDER');
+  const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+  // The hosted API needs a key; a self-hosted server is configured by its URL alone
+  const configured = hasKey || baseUrl !== DEFAULT_BASE_URL;
+
+  // Schema templates already spell out the JSON shape in the prompt; JSON
+  // mode keeps the model from wrapping it in prose or markdown fences
+  function post(prompt, responseSchema, { signal, stream } = {}) {
+    if (!configured) throw new ApiError('NOT_CONFIGURED', 'AI features disabled (No API Key)');
+    return upstream.request('openai', url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(hasKey && { Authorization: `Bearer ${apiKey}` }) },
+      signal,
+      stream,
+      body: JSON.stringify({
+        model,
+        messages: [{ role: 'user', content: prompt }],
+        ...(responseSchema && { response_format: { type: 'json_object' } }),
+        ...(stream && { stream: true, stream_options: { include_usage: true } })
+      })
+    });
+  }
+
+  async function generate({ prompt }, { responseSchema } = {}) {
+    const response = await post(prompt, responseSchema);
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw openAiError(response, data);
+
+    const text = data.choices?.[0]?.message?.content || 'No content generated';
+    onUsage({ mode: 'generate', prompt, text, ...tokens(data.usage) });
+    return text;
+  }
+
+  // Relays `delta.content` chunks to `onToken` until the server sends [DONE]
+  async function stream({ prompt }, { responseSchema, onToken = () => {}, signal } = {}) {
+    const response = await post(prompt, responseSchema, { signal, stream: true });
+    if (!response.ok) throw openAiError(response, await response.json().catch(() => ({})));
+
+    let text = '';
+    let usage; // Sent in a final chunk with no choices (stream_options.include_usage)
+    await readSseData(response.body, line => {
+      if (line === '[DONE]') return;
+      const data = JSON.parse(line);
+      const part = data.choices?.[0]?.delta?.content;
+      if (data.usage) usage = data.usage;
+      if (part) {
+        text += part;
+        onToken(part);
+      }
+    });
+
+    text = text || 'No content generated';
+    onUsage({ mode: 'stream', prompt, text, ...tokens(usage) });
+    return text;
+  }
+
+  return { name: 'openai', model, configured, generate, stream };
+}
+
+module.exports = { createOpenAiProvider };
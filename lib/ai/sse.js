@@ -0,0 +1,18 @@
+// ─── Upstream SSE Reader ─────────────────────────────────────────────
+// Gemini (alt=sse) and OpenAI-compatible servers both stream their answers
+// as Server-Sent Events. Calls `onData` with the payload of each `data:` line.
+async function readSseData(body, onData) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (line.startsWith('data:')) onData(line.slice(5).trim());
+    }
+  }
+  if (buffer.startsWith('data:')) onData(buffer.slice(5).trim());
+}
+
+module.exports = { readSseData };
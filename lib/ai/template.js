@@ -0,0 +1,164 @@
+// ─── Template Provider ───────────────────────────────────────────────
+// Deterministic, rule-based answers for every prompt template, written from
+// the validated params instead of a model. No key, no network: the app stays
+// fully usable with AI switched off, and tests get stable output.
+// Structured templates return JSON text, so lib/structured.js validates it
+// exactly as it would a model's answer.
+const { evaluateGear } = require('../gear');
+const { AQI_LABELS } = require('../prompts');
+const { formatTemp } = require('../units');
+const { normalizeProfile, profileShifts } = require('../profile');
+
+const WET = /rain|drizzle|shower|thunder|storm|snow|sleet/i;
+
+function describeTemp(temp) {
+  if (temp >= 35) return 'very hot';
+  if (temp >= 28) return 'hot';
+  if (temp >= 18) return 'pleasant';
+  if (temp >= 10) return 'mild';
+  if (temp >= 0) return 'cold';
+  return 'freezing';
+}
+
+// The comfort score the pages show (public/comfort.mjs). It is an ES module
+// shared with the browser, so it is loaded once, on first use.
+let comfortModule;
+function loadComfort() {
+  comfortModule = comfortModule || import('../../public/comfort.mjs');
+  return comfortModule;
+}
+
+function listItems(items) {
+  if (items.length < 2) return items.join('');
+  return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+}
+
+// ─── Summary ─────────────────────────────────────────────────────────
+function summary({ city, temp, condition, humidity, units }) {
+  const first = `${city} is ${describeTemp(temp)} at ${formatTemp(temp, units)} with ${condition.toLowerCase()}.`;
+  let second = '';
+  if (WET.test(condition)) second = 'Keep an umbrella handy if you head out.';
+  else if (humidity > 75) second = `Humidity is high at ${humidity}%, so it will feel muggy.`;
+  else if (humidity < 30) second = `The air is dry at ${humidity}% humidity.`;
+  else if (humidity !== undefined) second = `Humidity is a comfortable ${humidity}%.`;
+  return second ? `${first} ${second}` : first;
+}
+
+// ─── Travel Advice ───────────────────────────────────────────────────
+const INDOOR = [
+  ['Museums', 'Stay comfortable indoors and dig into local history'],
+  ['Covered markets', 'Browse local food and crafts under cover'],
+  ['Galleries', 'Quiet indoor time with local art']
+];
+const OUTDOOR = [
+  ['Old town', 'Walk the historic streets while the weather holds'],
+  ['Parks and gardens', 'Enjoy the open air at an easy pace'],
+  ['Viewpoints', 'Take in the city from above']
+];
+
+// AQI level that counts as bad air: Poor (4), one level either way with the
+// reader's air sensitivity, kept on a labelled 1–5 level
+function aqiAlertLevel(shifts) {
+  return Math.min(5, Math.max(1, Math.round(4 + shifts.aqi)));
+}
+
+// Alert limits move with the reader's comfort profile (lib/profile.js).
+// `extreme` is temperatureExtreme() from the comfort module.
+function travelAlert({ condition = '', airQuality }, shifts, extreme) {
+  if (airQuality >= aqiAlertLevel(shifts)) return `Air quality is ${(AQI_LABELS[airQuality] || 'poor').toLowerCase()}; limit time outdoors and consider a mask.`;
+  if (/thunder|storm/i.test(condition)) return 'Thunderstorms expected; avoid open areas and check local warnings.';
+  if (extreme === 'hot') return 'Extreme heat; stay hydrated and avoid the midday sun.';
+  if (extreme === 'cold') return 'Freezing temperatures; cover exposed skin and watch for ice.';
+  if (WET.test(condition)) return 'Wet conditions; watch your footing and allow extra travel time.';
+  return null;
+}
+
+async function travelAdvice(params) {
+  const { city, temp, humidity, wind, condition = '', airQuality, profile } = params;
+  const { temperatureExtreme } = await loadComfort();
+  const shifts = profileShifts(profile);
+  const extreme = temperatureExtreme(temp, shifts);
+  const stayIn = WET.test(condition) || airQuality >= aqiAlertLevel(shifts) || extreme !== null;
+  const places = (stayIn ? [...INDOOR, ...OUTDOOR] : [...OUTDOOR, ...INDOOR])
+    .slice(0, 5)
+    .map(([name, description]) => ({ name: `${name} of ${city}`.slice(0, 80), description }));
+
+  const gear = evaluateGear({ temp, humidity, wind, condition, aqi: airQuality }, { profile }).gear
+    .map(g => g.item.replace(/\b[A-Z][a-z]/g, s => s.toLowerCase())); // 'N95 Mask' → 'N95 mask'
+  const eat = temp >= 28
+    ? 'Try a chilled local drink or fresh fruit from a street stall between stops.'
+    : temp < 10
+      ? 'Warm up with a local soup or stew at a busy neighbourhood spot.'
+      : 'Try a local speciality at a busy neighbourhood restaurant.';
+
+  return {
+    places,
+    nearby: [],
+    wear: `Bring ${listItems(gear)}.`.slice(0, 200),
+    eat,
+    alert: travelAlert(params, shifts, extreme)
+  };
+}
+
+// ─── Compare Verdict ─────────────────────────────────────────────────
+function describeCity(c, units) {
+  const parts = [];
+  if (typeof c.temp === 'number') parts.push(formatTemp(c.temp, units));
+  if (c.condition) parts.push(c.condition.toLowerCase());
+  const air = AQI_LABELS[c.aqi] ? ` with ${AQI_LABELS[c.aqi].toLowerCase()} air` : '';
+  return `${c.name} is ${parts.length ? parts.join(' and ') : 'reporting limited data'}${air}.`;
+}
+
+function verdictReason(winner, loser, scores) {
+  const [best, other] = scores;
+  if (WET.test(loser.condition || '') && !WET.test(winner.condition || '')) return `${winner.name} stays dry, scoring ${best}/10 for comfort against ${other}/10.`;
+  if (best > other) return `${winner.name} has the more comfortable weather, scoring ${best}/10 against ${other}/10.`;
+  if (winner.aqi && loser.aqi && winner.aqi !== loser.aqi) return `Comfort is level at ${best}/10, and ${winner.name} has cleaner air.`;
+  return `Both score ${best}/10 for comfort; ${winner.name} edges it as the first choice.`;
+}
+
+// Highest comfort score under the reader's profile wins; ties go to the
+// cleaner air, then to city A
+async function compareVerdict({ cityA, cityB, units, profile }) {
+  const { comfortScore } = await loadComfort();
+  const reader = { profile: normalizeProfile(profile), shift: profileShifts(profile) };
+  const score = city => comfortScore({ ...city, aqi: city.aqi || null }, reader).score; // AQI 0: lookup failed
+  const scoreA = score(cityA);
+  const scoreB = score(cityB);
+  const cleaner = cityA.aqi && cityB.aqi ? cityA.aqi - cityB.aqi : 0; // Below zero: city A has cleaner air
+  const aWins = scoreA > scoreB || (scoreA === scoreB && cleaner <= 0);
+  const [winner, loser] = aWins ? [cityA, cityB] : [cityB, cityA];
+  const scores = aWins ? [scoreA, scoreB] : [scoreB, scoreA];
+
+  return {
+    comparison: `${describeCity(cityA, units)} ${describeCity(cityB, units)} Comfort scores: ${cityA.name} ${scoreA}/10, ${cityB.name} ${scoreB}/10.`.slice(0, 600),
+    winner: winner.name,
+    reason: verdictReason(winner, loser, scores).slice(0, 200)
+  };
+}
+
+const answers = { summary, travelAdvice, compareVerdict };
+
+function createTemplateProvider() {
+  async function answer({ template, params }) {
+    const write = answers[template];
+    if (!write) throw new Error(`Template provider has no rules for "${template}"`);
+    const result = await write(params);
+    return typeof result === 'string' ? result : JSON.stringify(result);
+  }
+
+  async function generate(request) {
+    return answer(request);
+  }
+
+  // Emits the answer in word-sized chunks so the streaming UI behaves as with a model
+  async function stream(request, { onToken = () => {} } = {}) {
+    const text = await answer(request);
+    for (const chunk of text.match(/\S+\s*/g) || []) onToken(chunk);
+    return text;
+  }
+
+  return { name: 'template', model: null, configured: true, generate, stream };
+}
+
+module.exports = { createTemplateProvider };
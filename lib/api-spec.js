@@ -0,0 +1,479 @@
+// ─── API Contract ────────────────────────────────────────────────────
+// One table describes every route: request schemas (validated at runtime by
+// lib/validation.js) and response schemas for our own normalized payloads.
+// The same table is published as OpenAPI 3.0 at /api/openapi.json, so the
+// document cannot drift from what the server enforces.
+const { templates, TRAVEL_ADVICE_SCHEMA, verdictSchema } = require('./prompts');
+const { CATEGORIES } = require('./place-categories');
+const { PLACES_DEFAULTS, PLACES_LIMITS } = require('./places');
+const { UNITS } = require('./gear');
+const { PROFILE_FIELDS } = require('./profile');
+const { ERROR_CODES } = require('./errors');
+const { version } = require('../package.json');
+
+// ─── Shared Fields ───────────────────────────────────────────────────
+const LAT = { type: 'number', minimum: -90, maximum: 90 };
+const LON = { type: 'number', minimum: -180, maximum: 180 };
+const CITY = { type: 'string', minLength: 1, maxLength: 100 };
+const AQI_INDEX = { type: 'integer', minimum: 1, maximum: 5 };
+const UNITS_FIELD = { type: 'string', enum: UNITS, default: 'metric' };
+
+// Prompt field specs (lib/prompts.js) → JSON schema. Optional fields accept null.
+function paramsSchema(spec) {
+  const properties = {};
+  const required = [];
+  for (const [field, rule] of Object.entries(spec)) {
+    const schema = { type: rule.type };
+    if (rule.type === 'object') {
+      Object.assign(schema, paramsSchema(rule.fields));
+    } else if (rule.type === 'number' || rule.type === 'integer') {
+      if (rule.min !== undefined) schema.minimum = rule.min;
+      if (rule.max !== undefined) schema.maximum = rule.max;
+    } else if (rule.required) {
+      schema.minLength = 1;
+    }
+    if (rule.maxLength) schema.maxLength = rule.maxLength;
+    if (rule.enum) schema.enum = rule.enum;
+    if (rule.required) required.push(field);
+    else schema.nullable = true;
+    properties[field] = schema;
+  }
+  return { type: 'object', ...(required.length ? { required } : {}), properties }; // OpenAPI 3.0 rejects an empty list
+}
+
+const ComfortProfile = {
+  ...paramsSchema(PROFILE_FIELDS),
+  description: 'Personal comfort thresholds (temperatures in °C); omitted fields use the defaults. Moves gear thresholds and personalizes travel advice.'
+};
+
+// ─── Request Schemas ─────────────────────────────────────────────────
+const LocationQuery = {
+  type: 'object',
+  description: 'Either `city` or both `lat` and `lon`.',
+  properties: { city: CITY, lat: LAT, lon: LON },
+  anyOf: [{ required: ['city'] }, { required: ['lat', 'lon'] }]
+};
+
+const ConditionsQuery = {
+  ...LocationQuery,
+  properties: {
+    ...LocationQuery.properties,
+    units: { ...UNITS_FIELD, description: 'Unit system for gear thresholds. Weather data is always metric.' },
+    profile: ComfortProfile
+  }
+};
+
+const CoordsQuery = { type: 'object', required: ['lat', 'lon'], properties: { lat: LAT, lon: LON } };
+const CityQuery = { type: 'object', required: ['city'], properties: { city: CITY } };
+const SearchQuery = { type: 'object', required: ['q'], properties: { q: CITY } };
+
+// Only plain-text templates are served by /ai; structured ones have their own routes
+const PLAIN_TEMPLATES = Object.keys(templates).filter(id => !templates[id].schema && !templates[id].nested);
+
+const SummaryRequest = {
+  type: 'object',
+  required: ['template', 'params'],
+  properties: {
+    template: { type: 'string', enum: PLAIN_TEMPLATES },
+    params: paramsSchema(templates.summary.params)
+  }
+};
+
+const TravelAdviceRequest = paramsSchema(templates.travelAdvice.params);
+
+const CityWeather = paramsSchema(templates.compareVerdict.params);
+const CompareVerdictRequest = {
+  type: 'object',
+  required: ['cityA', 'cityB'],
+  properties: {
+    cityA: CityWeather,
+    cityB: CityWeather,
+    ...paramsSchema(templates.compareVerdict.shared).properties
+  }
+};
+
+const integerRange = ([minimum, maximum], defaultValue) => ({ type: 'integer', minimum, maximum, default: defaultValue });
+const PlacesRequest = {
+  type: 'object',
+  required: ['lat', 'lon'],
+  properties: {
+    lat: LAT,
+    lon: LON,
+    temp: { type: 'number', nullable: true },
+    feelsLike: { type: 'number', nullable: true },
+    humidity: { type: 'number', minimum: 0, maximum: 100, nullable: true },
+    wind: { type: 'number', minimum: 0, nullable: true },
+    condition: { type: 'string', maxLength: 60, nullable: true },
+    aqi: { ...AQI_INDEX, type: 'number', nullable: true },
+    uv: { type: 'number', minimum: 0, nullable: true },
+    units: { ...UNITS_FIELD, description: 'Unit system for gear thresholds. Weather values are metric.' },
+    profile: ComfortProfile,
+    categories: {
+      description: 'Array or comma-separated list of categories.',
+      anyOf: [
+        { type: 'array', items: { type: 'string', enum: Object.keys(CATEGORIES) }, maxItems: Object.keys(CATEGORIES).length },
+        { type: 'string', maxLength: 200 }
+      ]
+    },
+    radius: integerRange(PLACES_LIMITS.radius, PLACES_DEFAULTS.radius),
+    limit: integerRange(PLACES_LIMITS.limit, PLACES_DEFAULTS.limit),
+    page: integerRange(PLACES_LIMITS.page, PLACES_DEFAULTS.page)
+  }
+};
+
+const WeatherSnapshot = {
+  type: 'object',
+  required: ['temp'],
+  properties: {
+    units: UNITS_FIELD,
+    temp: { type: 'number', minimum: -100, maximum: 160 },
+    feelsLike: { type: 'number', minimum: -100, maximum: 160 },
+    humidity: { type: 'number', minimum: 0, maximum: 100 },
+    wind: { type: 'number', minimum: 0, maximum: 300 },
+    aqi: AQI_INDEX,
+    uv: { type: 'number', minimum: 0, maximum: 20 },
+    condition: { type: 'string', maxLength: 60 },
+    pop: { type: 'number', minimum: 0, maximum: 1 },
+    precip: { type: 'number', minimum: 0, maximum: 1000 },
+    profile: ComfortProfile
+  }
+};
+
+// ─── Response Schemas ────────────────────────────────────────────────
+// Shared error model (lib/errors.js); clients switch on `code`
+const ApiError = {
+  type: 'object',
+  required: ['code', 'message', 'retryable', 'upstream'],
+  properties: {
+    code: { type: 'string', enum: Object.keys(ERROR_CODES) },
+    message: { type: 'string', description: 'Developer-facing description; clients should show their own wording per code.' },
+    retryable: { type: 'boolean', description: 'Whether repeating the same request later can succeed.' },
+    upstream: {
+      type: 'object',
+      nullable: true,
+      description: 'Upstream API that caused the failure.',
+      required: ['service', 'status'],
+      properties: { service: { type: 'string' }, status: { type: 'integer', nullable: true } }
+    },
+    details: { type: 'array', items: { type: 'string' }, description: 'Validation problems (INVALID_REQUEST only).' },
+    retryAfter: { type: 'integer', description: 'Seconds until the rate limit allows another request (RATE_LIMITED only).' }
+  }
+};
+
+const ErrorResponse = { type: 'object', required: ['error'], properties: { error: ApiError } };
+
+// Raw OpenWeather payloads are forwarded as-is and not re-described here
+const upstream = description => ({ type: 'object', description });
+
+const Uv = {
+  type: 'object',
+  required: ['uvi', 'source', 'estimated'],
+  properties: {
+    uvi: { type: 'number', minimum: 0 },
+    source: { type: 'string', enum: ['openweather-onecall-3.0', 'fixture', 'solar-estimate'] },
+    estimated: { type: 'boolean' }
+  }
+};
+
+const AirQuality = {
+  type: 'object',
+  required: ['index', 'label', 'components'],
+  properties: {
+    index: AQI_INDEX,
+    label: { type: 'string' },
+    components: { type: 'object', description: 'Pollutant concentrations in μg/m³, keyed by pollutant.' }
+  }
+};
+
+const Place = {
+  type: 'object',
+  required: ['name', 'type', 'category', 'desc', 'dist'],
+  properties: {
+    name: { type: 'string' },
+    type: { type: 'string', enum: ['indoor', 'outdoor'] },
+    category: { type: 'string', enum: Object.keys(CATEGORIES) },
+    desc: { type: 'string' },
+    dist: { type: 'string', nullable: true, description: 'Distance in km, one decimal.' },
+    lat: { type: 'number', nullable: true },
+    lon: { type: 'number', nullable: true },
+    score: { type: 'number', description: 'Weather-aware ranking score (higher is better).' },
+    reason: { type: 'string', description: 'Why the place suits (or doesn\'t suit) the current weather.' }
+  }
+};
+
+const GearItem = {
+  type: 'object',
+  required: ['item', 'reason'],
+  properties: { item: { type: 'string' }, reason: { type: 'string' } }
+};
+
+const Paging = {
+  type: 'object',
+  required: ['page', 'limit', 'total', 'hasMore'],
+  properties: {
+    page: { type: 'integer' },
+    limit: { type: 'integer' },
+    total: { type: 'integer' },
+    hasMore: { type: 'boolean' }
+  }
+};
+
+const PlacesResponse = {
+  type: 'object',
+  required: ['places', 'paging', 'gear'],
+  properties: {
+    places: { type: 'array', items: Place },
+    paging: Paging,
+    gear: { type: 'array', items: GearItem }
+  }
+};
+
+const GearEvaluation = {
+  type: 'object',
+  required: ['units', 'gear', 'trace'],
+  properties: {
+    units: { type: 'string', enum: UNITS },
+    gear: { type: 'array', items: GearItem },
+    trace: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'item', 'priority', 'matched'],
+        properties: {
+          id: { type: 'string' },
+          item: { type: 'string' },
+          priority: { type: 'number' },
+          matched: { type: 'boolean' },
+          suppressedBy: { type: 'string', description: 'Rule (or "specific gear") that already covered this item or group.' }
+        }
+      }
+    }
+  }
+};
+
+// /api/conditions section envelope: data on success, error when that part failed
+const section = data => ({
+  type: 'object',
+  required: ['data', 'error'],
+  properties: {
+    data: { ...data, nullable: true },
+    error: { ...ApiError, nullable: true }
+  }
+});
+
+const Conditions = {
+  type: 'object',
+  required: ['location', 'weather', 'forecast', 'aqi', 'uv', 'places', 'gear', 'partial'],
+  properties: {
+    location: {
+      type: 'object',
+      required: ['name', 'lat', 'lon'],
+      properties: {
+        name: { type: 'string' },
+        country: { type: 'string', nullable: true },
+        lat: LAT,
+        lon: LON,
+        timezone: { type: 'integer', description: 'Offset from UTC in seconds.' }
+      }
+    },
+    weather: section(upstream('OpenWeather current weather (metric).')),
+    forecast: section(upstream('OpenWeather 5-day / 3-hour forecast (metric).')),
+    aqi: section(AirQuality),
+    uv: section(Uv),
+    places: section({ type: 'array', items: Place }),
+    gear: section({ type: 'array', items: GearItem }),
+    partial: { type: 'boolean', description: 'True when any section failed.' }
+  }
+};
+
+const Summary = { type: 'object', required: ['reply'], properties: { reply: { type: 'string' } } };
+const TravelAdvice = { type: 'object', required: ['advice'], properties: { advice: TRAVEL_ADVICE_SCHEMA } };
+
+// The runtime schema pins `winner` to the two requested names; published as a plain string
+const verdict = verdictSchema('', '');
+const Verdict = {
+  type: 'object',
+  required: ['verdict'],
+  properties: {
+    verdict: { ...verdict, properties: { ...verdict.properties, winner: { type: 'string', description: 'cityA.name or cityB.name' } } }
+  }
+};
+
+const FirebaseConfig = {
+  type: 'object',
+  properties: Object.fromEntries(
+    ['apiKey', 'authDomain', 'projectId', 'storageBucket', 'messagingSenderId', 'appId', 'measurementId']
+      .map(key => [key, { type: 'string', nullable: true }])
+  )
+};
+
+const Health = {
+  type: 'object',
+  required: ['status', 'uptime'],
+  properties: { status: { type: 'string', enum: ['ok'] }, uptime: { type: 'integer', description: 'Seconds' } }
+};
+
+const DATE_TIME = { type: 'string', format: 'date-time', nullable: true };
+
+const Integration = {
+  type: 'object',
+  required: ['configured'],
+  properties: {
+    provider: { type: 'string' },
+    model: { type: 'string', nullable: true, description: 'AI model name (null for the template provider)' },
+    configured: { type: 'boolean' },
+    missing: { type: 'array', items: { type: 'string' }, description: 'Names of unset env vars' }
+  }
+};
+
+const UpstreamStatus = {
+  type: 'object',
+  required: ['state', 'failures', 'openedAt', 'retryAt', 'lastSuccess', 'lastFailure', 'lastError'],
+  properties: {
+    state: { type: 'string', enum: ['closed', 'open', 'half-open'] },
+    failures: { type: 'integer', description: 'Consecutive failures' },
+    openedAt: DATE_TIME,
+    retryAt: DATE_TIME,
+    lastSuccess: DATE_TIME,
+    lastFailure: DATE_TIME,
+    lastError: { type: 'string', nullable: true }
+  }
+};
+
+const Status = {
+  type: 'object',
+  required: ['ready', 'version', 'startedAt', 'uptime', 'integrations', 'upstreams', 'caches'],
+  properties: {
+    ready: { type: 'boolean' },
+    version: { type: 'string' },
+    startedAt: { type: 'string', format: 'date-time' },
+    uptime: { type: 'integer', description: 'Seconds' },
+    integrations: {
+      type: 'object',
+      required: ['weather', 'ai', 'firebase'],
+      properties: { weather: Integration, ai: Integration, firebase: Integration }
+    },
+    upstreams: {
+      type: 'object',
+      required: ['openweather', 'overpass', 'gemini', 'openai', 'firebase'],
+      properties: { openweather: UpstreamStatus, overpass: UpstreamStatus, gemini: UpstreamStatus, openai: UpstreamStatus, firebase: UpstreamStatus }
+    },
+    caches: {
+      type: 'object',
+      required: ['responses', 'ai'],
+      properties: {
+        responses: {
+          type: 'object',
+          properties: Object.fromEntries(['size', 'hits', 'misses', 'stale', 'coalesced', 'inflight'].map(key => [key, { type: 'integer' }]))
+        },
+        ai: { type: 'object', properties: { size: { type: 'integer' } } }
+      }
+    }
+  }
+};
+
+// Named schemas become components and are referenced with $ref in the document
+const SCHEMAS = {
+  Error: ErrorResponse, ApiError, Uv, AirQuality, Place, GearItem, Paging, PlacesResponse, GearEvaluation, Conditions,
+  Summary, TravelAdvice, Verdict, FirebaseConfig, Health, Integration, UpstreamStatus, Status,
+  SummaryRequest, TravelAdviceRequest, CityWeather, CompareVerdictRequest, PlacesRequest, WeatherSnapshot, ComfortProfile
+};
+
+// ─── Routes ──────────────────────────────────────────────────────────
+//   query/body: request schemas (validated before the handler runs)
+//   response:   200 body; `stream` routes answer with Server-Sent Events
+//   limited:    rate limited (may answer 429)
+//   readiness:  answers 503 with the same body while not ready
+const ROUTES = {
+  firebaseConfig: { method: 'get', path: '/api/firebase-config', tag: 'Config', summary: 'Public Firebase web config', response: FirebaseConfig },
+  weather: { method: 'get', path: '/api/weather', tag: 'Weather', summary: 'Current weather', query: LocationQuery, response: upstream('OpenWeather current weather (metric).'), limited: true },
+  forecast: { method: 'get', path: '/api/forecast', tag: 'Weather', summary: '5-day / 3-hour forecast', query: CityQuery, response: upstream('OpenWeather 5-day / 3-hour forecast (metric).'), limited: true },
+  aqi: { method: 'get', path: '/api/aqi', tag: 'Weather', summary: 'Air pollution', query: CoordsQuery, response: upstream('OpenWeather air pollution.'), limited: true },
+  search: { method: 'get', path: '/api/search', tag: 'Weather', summary: 'City autocomplete', query: SearchQuery, response: { type: 'array', items: upstream('OpenWeather geocoding result.') }, limited: true },
+  uv: { method: 'get', path: '/api/uv', tag: 'Weather', summary: 'UV index, measured or estimated', query: CoordsQuery, response: Uv, limited: true },
+  conditions: { method: 'get', path: '/api/conditions', tag: 'Weather', summary: 'Everything the main page needs in one call', query: ConditionsQuery, response: Conditions, limited: true },
+  places: { method: 'post', path: '/api/places', tag: 'Places', summary: 'Nearby places ranked for the weather, plus gear', body: PlacesRequest, response: PlacesResponse, limited: true },
+  gearEvaluate: { method: 'post', path: '/api/gear/evaluate', tag: 'Places', summary: 'Evaluate gear rules against a weather snapshot', body: WeatherSnapshot, response: GearEvaluation, limited: true },
+  summary: { method: 'post', path: '/ai', tag: 'AI', summary: 'Weather summary from a server-owned template', body: SummaryRequest, response: Summary, limited: true },
+  summaryStream: { method: 'post', path: '/ai/stream', tag: 'AI', summary: 'Weather summary (streamed)', body: SummaryRequest, stream: Summary, limited: true },
+  travelAdvice: { method: 'post', path: '/api/travel-advice', tag: 'AI', summary: 'Structured travel advice', body: TravelAdviceRequest, response: TravelAdvice, limited: true },
+  travelAdviceStream: { method: 'post', path: '/api/travel-advice/stream', tag: 'AI', summary: 'Structured travel advice (streamed)', body: TravelAdviceRequest, stream: TravelAdvice, limited: true },
+  compareVerdict: { method: 'post', path: '/api/compare-verdict', tag: 'AI', summary: 'Which of two cities to visit today', body: CompareVerdictRequest, response: Verdict, limited: true },
+  compareVerdictStream: { method: 'post', path: '/api/compare-verdict/stream', tag: 'AI', summary: 'Which of two cities to visit today (streamed)', body: CompareVerdictRequest, stream: Verdict, limited: true },
+  health: { method: 'get', path: '/api/health', tag: 'Config', summary: 'Liveness probe', response: Health },
+  status: { method: 'get', path: '/api/status', tag: 'Config', summary: 'Readiness, integrations, upstream and cache status', response: Status, readiness: true },
+  openapi: { method: 'get', path: '/api/openapi.json', tag: 'Config', summary: 'This document', response: { type: 'object' } }
+};
+
+// ─── OpenAPI Document ────────────────────────────────────────────────
+const NAMES = new Map(Object.entries(SCHEMAS).map(([name, schema]) => [schema, name]));
+
+// Replaces nested named schemas with $ref (the top level stays inline for components)
+function toOpenApi(schema, top = false) {
+  if (!top && NAMES.has(schema)) return { $ref: `#/components/schemas/${NAMES.get(schema)}` };
+  const out = { ...schema };
+  if (schema.properties) out.properties = Object.fromEntries(Object.entries(schema.properties).map(([k, v]) => [k, toOpenApi(v)]));
+  if (schema.items) out.items = toOpenApi(schema.items);
+  if (schema.anyOf) out.anyOf = schema.anyOf.map(option => toOpenApi(option));
+  return out;
+}
+
+// Query schemas become individual parameters
+function queryParameters(query) {
+  const required = query.required || [];
+  return Object.entries(query.properties).map(([name, schema]) => ({
+    name,
+    in: 'query',
+    ...(schema.type === 'object' ? { style: 'deepObject', explode: true } : {}), // e.g. profile[heat]=high
+    required: required.includes(name),
+    ...(schema.type !== 'object' && query.description && !required.includes(name) ? { description: query.description } : {}),
+    schema: toOpenApi(schema)
+  }));
+}
+
+const STREAM_DESCRIPTION = 'Server-Sent Events: `token` { text }, `reset` {}, `result` (the JSON response plus `cached`), `error` { error: ApiError }.';
+
+function buildOpenApi() {
+  const json = schema => ({ 'application/json': { schema: toOpenApi(schema) } });
+  const error = description => ({ description, content: json(ErrorResponse) });
+  const paths = {};
+
+  for (const [operationId, route] of Object.entries(ROUTES)) {
+    const responses = {
+      200: route.stream
+        ? { description: STREAM_DESCRIPTION, content: { 'text/event-stream': { schema: { type: 'string' } } } }
+        : { description: 'OK', content: json(route.response) }
+    };
+    if (route.query || route.body) responses[400] = error('Invalid request');
+    if (route.readiness) responses[503] = { description: 'Not ready', content: json(route.response) };
+    if (route.limited) responses[429] = { ...error('Rate limited'), headers: { 'Retry-After': { schema: { type: 'integer' } } } };
+    responses.default = error('Upstream or server error');
+
+    paths[route.path] = paths[route.path] || {};
+    paths[route.path][route.method] = {
+      operationId,
+      tags: [route.tag],
+      summary: route.summary,
+      ...(route.query ? { parameters: queryParameters(route.query) } : {}),
+      ...(route.body ? { requestBody: { required: true, content: json(route.body) } } : {}),
+      responses
+    };
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Climago API',
+      version,
+      description: 'Weather, places and AI travel insights. Send a Firebase ID token as `Authorization: Bearer <token>` to be rate limited per account instead of per IP.'
+    },
+    paths,
+    components: {
+      schemas: Object.fromEntries(Object.entries(SCHEMAS).map(([name, schema]) => [name, toOpenApi(schema, true)])),
+      securitySchemes: { firebase: { type: 'http', scheme: 'bearer', bearerFormat: 'Firebase ID token' } }
+    },
+    security: [{}, { firebase: [] }]
+  };
+}
+
+module.exports = { ROUTES, SCHEMAS, buildOpenApi };
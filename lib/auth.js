@@ -0,0 +1,98 @@
+// ─── Firebase Auth (Optional) ────────────────────────────────────────
+// Verifies Firebase ID tokens sent as `Authorization: Bearer <token>` and
+// attaches `req.user = { uid, email }`. Requests without a valid token
+// continue as guests; nothing here rejects a request.
+// Google's signing certificates are fetched through the upstream client
+// (service `firebase`: timeout, retries, circuit breaker).
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const CERTS_URL = 'https://www.googleapis.com/robot/v1/metadata/x509/securetoken@system.gserviceaccount.com';
+const DEFAULT_CERT_TTL = 60 * 60 * 1000; // Used when Google sends no max-age
+const STALE_RETRY_MS = 60 * 1000; // After a failed refresh, keep the old certs this long before trying again
+
+// Returns getCerts(): Google's signing certificates, cached for as long as
+// Cache-Control allows. Concurrent refreshes share one fetch, and when a
+// refresh fails the last good certificates keep being used, so an outage at
+// Google never stalls or signs out every request.
+function createCertStore(upstream) {
+  let cache = { certs: null, expires: 0 };
+  let refreshing = null;
+
+  async function refresh() {
+    const response = await upstream.request('firebase', CERTS_URL);
+    if (!response.ok) throw new Error(`Unable to fetch Firebase signing certs (HTTP ${response.status})`);
+    const certs = await response.json();
+
+    const maxAge = /max-age=(\d+)/.exec(response.headers.get('cache-control') || '');
+    cache = { certs, expires: Date.now() + (maxAge ? Number(maxAge[1]) * 1000 : DEFAULT_CERT_TTL) };
+    return certs;
+  }
+
+  return async function getCerts() {
+    if (cache.certs && cache.expires > Date.now()) return cache.certs;
+    if (!refreshing) refreshing = refresh().finally(() => { refreshing = null; });
+    try {
+      return await refreshing;
+    } catch (e) {
+      if (!cache.certs) throw e;
+      logger.warn('Using last good Firebase signing certs', { error: e.message });
+      cache.expires = Date.now() + STALE_RETRY_MS;
+      return cache.certs;
+    }
+  };
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+// Returns the decoded claims of a valid token, or throws
+async function verifyIdToken(token, projectId, getCerts) {
+  const parts = token.split('.');
+  if (parts.length !== 3) throw new Error('Malformed token');
+
+  const [headerB64, payloadB64, signatureB64] = parts;
+  const header = decodeSegment(headerB64);
+  const claims = decodeSegment(payloadB64);
+  if (header.alg !== 'RS256') throw new Error('Unexpected token algorithm');
+
+  const certs = await getCerts();
+  const cert = certs[header.kid];
+  if (!cert) throw new Error('Unknown signing key');
+
+  const valid = crypto.verify(
+    'RSA-SHA256',
+    Buffer.from(`${headerB64}.${payloadB64}`),
+    cert,
+    Buffer.from(signatureB64, 'base64url')
+  );
+  if (!valid) throw new Error('Invalid token signature');
+
+  const now = Math.floor(Date.now() / 1000);
+  if (claims.aud !== projectId) throw new Error('Token audience mismatch');
+  if (claims.iss !== `https://securetoken.google.com/${projectId}`) throw new Error('Token issuer mismatch');
+  if (!claims.sub || claims.exp <= now || claims.iat > now + 60) throw new Error('Token expired or not yet valid');
+
+  return claims;
+}
+
+// Express middleware: populates req.user when a valid Firebase token is present
+function optionalAuth({ upstream, projectId = process.env.FIREBASE_PROJECT_ID }) {
+  const getCerts = createCertStore(upstream);
+  return async (req, res, next) => {
+    const header = req.get('authorization') || '';
+    const match = /^Bearer\s+(.+)$/i.exec(header);
+    if (!projectId || !match) return next();
+
+    try {
+      const claims = await verifyIdToken(match[1], projectId, getCerts);
+      req.user = { uid: claims.sub, email: claims.email || null };
+    } catch (e) {
+      logger.warn('Ignoring invalid auth token', { error: e.message });
+    }
+    next();
+  };
+}
+
+module.exports = { optionalAuth, verifyIdToken, createCertStore };
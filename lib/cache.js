@@ -0,0 +1,93 @@
+// ─── Response Cache ──────────────────────────────────────────────────
+// Shared in-memory cache for upstream proxy responses.
+//   • per-entry TTL (set by the caller, usually per route)
+//   • request coalescing: concurrent calls for the same key share one fetch
+//   • stale-if-error: an expired entry is served when the upstream fails
+//   • every caller gets its own copy, so a handler that edits a response
+//     (unit conversion, derived fields) never changes the cached one
+const { ProviderError } = require('./providers/errors');
+const { logger } = require('./logger');
+
+const DEFAULT_STALE_TTL = 6 * 60 * 60 * 1000; // Keep expired entries 6h for fallback
+const DEFAULT_MAX_ENTRIES = 1000;
+
+function createResponseCache({ staleTtl = DEFAULT_STALE_TTL, maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+  const entries = new Map(); // key → { data, expires, staleUntil }
+  const inflight = new Map(); // key → Promise
+  const stats = { hits: 0, misses: 0, stale: 0, coalesced: 0 };
+
+  function store(key, data, ttl) {
+    const now = Date.now();
+    entries.delete(key); // Re-insert so Map order tracks recency of writes
+    entries.set(key, { data, expires: now + ttl, staleUntil: now + ttl + staleTtl });
+
+    // Evict oldest writes once over capacity
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  }
+
+  // Only upstream outages qualify for stale fallback, not client errors like "city not found"
+  function isUpstreamFailure(e) {
+    if (!(e instanceof ProviderError)) return true;
+    return e.status >= 500 || e.status === 429;
+  }
+
+  async function wrap(key, ttl, loader) {
+    return structuredClone(await lookup(key, ttl, loader));
+  }
+
+  // The shared cached (or in-flight) value; only wrap() hands it out, cloned
+  async function lookup(key, ttl, loader) {
+    const now = Date.now();
+    const entry = entries.get(key);
+    if (entry && entry.expires > now) {
+      stats.hits++;
+      return entry.data;
+    }
+
+    if (inflight.has(key)) {
+      stats.coalesced++;
+      return inflight.get(key);
+    }
+
+    stats.misses++;
+    const pending = (async () => {
+      try {
+        const data = await loader();
+        store(key, data, ttl);
+        return data;
+      } catch (e) {
+        const stale = entries.get(key);
+        if (stale && stale.staleUntil > Date.now() && isUpstreamFailure(e)) {
+          stats.stale++;
+          logger.warn('Serving stale cache entry', { key, error: e });
+          return stale.data;
+        }
+        throw e;
+      } finally {
+        inflight.delete(key);
+      }
+    })();
+
+    inflight.set(key, pending);
+    return pending;
+  }
+
+  // Drops entries that are past their stale window
+  function sweep() {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.staleUntil <= now) entries.delete(key);
+    }
+  }
+
+  return {
+    wrap,
+    sweep,
+    get size() { return entries.size; },
+    stats: () => ({ ...stats, size: entries.size, inflight: inflight.size })
+  };
+}
+
+module.exports = { createResponseCache };
@@ -0,0 +1,89 @@
+// ─── Aggregated Conditions ───────────────────────────────────────────
+// Builds the single document behind /api/conditions: current weather,
+// forecast, air quality, UV, curated places and gear for one location.
+//
+// Every section has the same envelope: { data, error }.
+// Current weather is required (it resolves the coordinates); the other
+// sections fail independently and report their own error.
+const { describeError } = require('./errors');
+const { AQI_LABELS } = require('./prompts');
+const { getUvIndex } = require('./uv');
+const { pagePlaces } = require('./places');
+const { rankPlaces, upcomingHours } = require('./place-ranking');
+const { recommendGear, gearOutlook } = require('./gear');
+const { gearSnapshot } = require('./units');
+
+// Runs one section and captures its failure instead of rejecting the whole document.
+// `error` uses the shared error model: { code, message, retryable, upstream }
+async function section(load) {
+  try {
+    return { data: await load(), error: null };
+  } catch (e) {
+    return { data: null, error: describeError(e) };
+  }
+}
+
+// OpenWeather air_pollution → { index, label, components }
+function normalizeAqi(raw) {
+  const entry = raw && raw.list && raw.list[0];
+  if (!entry) throw new Error('No air quality data');
+  return { index: entry.main.aqi, label: AQI_LABELS[entry.main.aqi] || 'Unknown', components: entry.components || {} };
+}
+
+// Weather sections are always metric; `units` picks the system gear rules use
+// and `profile` (lib/profile.js) personalizes their thresholds
+async function buildConditions({ weatherProvider, fetchAttractions }, { city, lat, lon, units, profile }) {
+  // Throws (e.g. 404 city not found) — there is nothing to aggregate without it
+  const weather = await weatherProvider.currentWeather(city ? { city } : { lat, lon });
+  const coords = { lat: weather.coord.lat, lon: weather.coord.lon };
+
+  // Overpass is independent of the other sections, so start it right away
+  // (fetchAttractions resolves to every match, nearest first)
+  const attractionsPromise = fetchAttractions(coords.lat, coords.lon);
+
+  const [forecast, aqi, uv] = await Promise.all([
+    section(() => weatherProvider.forecast(coords)),
+    section(async () => normalizeAqi(await weatherProvider.airQuality(coords))),
+    section(() => getUvIndex(weatherProvider, coords, { weather }))
+  ]);
+
+  // Rank the full list for the weather before taking the first page
+  const places = await section(async () => pagePlaces(rankPlaces(await attractionsPromise, {
+    weather: {
+      temp: weather.main.temp,
+      condition: weather.weather[0].description,
+      aqi: aqi.data ? aqi.data.index : null,
+      uv: uv.data ? uv.data.uvi : null,
+      wind: weather.wind && weather.wind.speed
+    },
+    upcoming: upcomingHours(forecast.data)
+  })).places);
+  const gear = await section(async () => {
+    const snapshot = gearSnapshot({
+      temp: weather.main.temp,
+      feelsLike: weather.main.feels_like,
+      humidity: weather.main.humidity,
+      wind: weather.wind && weather.wind.speed,
+      condition: weather.weather[0].description,
+      aqi: aqi.data ? aqi.data.index : null,
+      uv: uv.data ? uv.data.uvi : 0
+    }, units);
+    return recommendGear({ ...snapshot, ...gearOutlook(forecast.data, { timezone: weather.timezone, units: snapshot.units }) }, profile);
+  });
+
+  const sections = { forecast, aqi, uv, places, gear };
+  return {
+    location: {
+      name: weather.name,
+      country: weather.sys && weather.sys.country,
+      lat: coords.lat,
+      lon: coords.lon,
+      timezone: weather.timezone
+    },
+    weather: { data: weather, error: null },
+    ...sections,
+    partial: Object.values(sections).some(s => s.error)
+  };
+}
+
+module.exports = { buildConditions, normalizeAqi };
@@ -0,0 +1,92 @@
+// ─── Error Model ─────────────────────────────────────────────────────
+// Every failure leaves the server in the same envelope:
+//   { error: { code, message, retryable, upstream, details?, retryAfter? } }
+//   upstream: { service, status } when an upstream API caused it, else null
+// Clients switch on `code` (stable) and show their own wording; `message`
+// is for logs and developers.
+const { ProviderError } = require('./providers/errors');
+const { logger } = require('./logger');
+
+const ERROR_CODES = {
+  INVALID_REQUEST: { status: 400, retryable: false, message: 'Invalid request' },
+  NOT_FOUND: { status: 404, retryable: false, message: 'Not found' },
+  CITY_NOT_FOUND: { status: 404, retryable: false, message: 'City not found' },
+  PAYLOAD_TOO_LARGE: { status: 413, retryable: false, message: 'Request body too large' },
+  RATE_LIMITED: { status: 429, retryable: true, message: 'Too many requests' },
+  NOT_CONFIGURED: { status: 503, retryable: false, message: 'Service not configured' },
+  UPSTREAM_RATE_LIMITED: { status: 503, retryable: true, message: 'Upstream quota exceeded' },
+  UPSTREAM_UNAVAILABLE: { status: 502, retryable: true, message: 'Upstream service unavailable' },
+  UPSTREAM_TIMEOUT: { status: 504, retryable: true, message: 'Upstream service timed out' },
+  AI_INVALID_OUTPUT: { status: 502, retryable: true, message: 'AI returned an invalid answer' },
+  INTERNAL: { status: 500, retryable: false, message: 'Internal server error' }
+};
+
+class ApiError extends Error {
+  constructor(code, message, { upstream = null, details, retryAfter } = {}) {
+    const spec = ERROR_CODES[code] || ERROR_CODES.INTERNAL;
+    super(message || spec.message);
+    this.name = 'ApiError';
+    this.code = ERROR_CODES[code] ? code : 'INTERNAL';
+    this.status = spec.status;
+    this.retryable = spec.retryable;
+    this.upstream = upstream;
+    this.details = details;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Maps an upstream HTTP status to our code
+function upstreamCode(status) {
+  if (status === 404) return 'CITY_NOT_FOUND';
+  if (status === 400) return 'INVALID_REQUEST';
+  if (status === 401 || status === 403) return 'NOT_CONFIGURED'; // Bad or under-privileged API key
+  if (status === 429) return 'UPSTREAM_RATE_LIMITED';
+  if (status === 504) return 'UPSTREAM_TIMEOUT';
+  return 'UPSTREAM_UNAVAILABLE';
+}
+
+// Normalizes anything thrown into an ApiError
+function toApiError(e) {
+  if (e instanceof ApiError) return e;
+
+  if (e instanceof ProviderError) {
+    const upstream = e.service ? { service: e.service, status: e.status } : null;
+    return new ApiError(e.code || upstreamCode(e.status), e.message, { upstream });
+  }
+
+  // body-parser failures (malformed JSON, oversized body)
+  if (e && e.type === 'entity.parse.failed') return new ApiError('INVALID_REQUEST', 'Request body is not valid JSON');
+  if (e && e.type === 'entity.too.large') return new ApiError('PAYLOAD_TOO_LARGE');
+
+  return new ApiError('INTERNAL');
+}
+
+// Public part of an error: the envelope body and the /api/conditions section error
+function describeError(e) {
+  const err = toApiError(e);
+  const body = { code: err.code, message: err.message, retryable: err.retryable, upstream: err.upstream };
+  if (err.details) body.details = err.details;
+  if (err.retryAfter) body.retryAfter = err.retryAfter;
+  return body;
+}
+
+function sendError(res, e) {
+  const err = toApiError(e);
+  if (err.code === 'INTERNAL') logger.error('Unhandled error', { error: e });
+  if (err.retryAfter) res.setHeader('Retry-After', err.retryAfter);
+  res.status(err.status).json({ error: describeError(err) });
+}
+
+// ─── Express Fallbacks ───────────────────────────────────────────────
+// Unknown API paths and errors thrown by middleware (e.g. bad JSON bodies)
+function notFoundHandler(req, res) {
+  sendError(res, new ApiError('NOT_FOUND', `No route for ${req.method} ${req.originalUrl.split('?')[0]}`));
+}
+
+// Express recognizes error handlers by their four arguments
+function errorHandler(err, req, res, next) {
+  if (res.headersSent) return next(err);
+  sendError(res, err);
+}
+
+module.exports = { ApiError, ERROR_CODES, toApiError, describeError, sendError, notFoundHandler, errorHandler };
@@ -0,0 +1,123 @@
+// ─── Gear Rules ──────────────────────────────────────────────────────
+// Declarative rule set behind the "Smart Essentials" list (see lib/gear.js).
+//
+//   when:     every listed field must pass; `any: [...]` passes if one clause does
+//             operators: gt, gte, lt, lte (numbers) and matches (regex source)
+//             unit-dependent thresholds are { metric, imperial }
+//   priority: higher first; decides which rule wins a duplicate item or group
+//   group:    at most one item per group (e.g. a single outer layer)
+//   fallback: only used when no other rule matched
+//   adjust:   { field: shift } comfort-profile shift added to that field's
+//             thresholds (heat, cold, humidity, wind, aqi; see lib/profile.js)
+//
+// Snapshot fields: temp, feelsLike (°C | °F), humidity (%), wind (m/s | mph),
+// aqi (1-5), uv, condition (text), pop (0-1, rest of today), precip (mm | in, rest of today)
+
+const WET = 'rain|drizzle|thunder|shower';
+
+const GEAR_RULES = [
+  {
+    id: 'umbrella-now',
+    item: 'Umbrella',
+    reason: 'Rain expected',
+    priority: 95,
+    when: { condition: { matches: WET } }
+  },
+  {
+    id: 'mask-poor-aqi',
+    item: 'N95 Mask',
+    reason: 'Poor air quality outdoors',
+    priority: 90,
+    when: { aqi: { gte: 4 } },
+    adjust: { aqi: 'aqi' }
+  },
+  {
+    id: 'umbrella-later',
+    item: 'Umbrella',
+    reason: 'Rain likely later today',
+    priority: 85,
+    when: { any: [{ pop: { gte: 0.5 } }, { precip: { gte: { metric: 1, imperial: 0.04 } } }] }
+  },
+  {
+    id: 'snow-boots',
+    item: 'Boots',
+    reason: 'Snowy conditions',
+    priority: 85,
+    when: { condition: { matches: 'snow|sleet' } }
+  },
+  {
+    id: 'sunscreen',
+    item: 'Sunscreen',
+    reason: 'High UV index',
+    priority: 80,
+    when: { uv: { gt: 5 } }
+  },
+  {
+    id: 'sun-hat',
+    item: 'Hat/Sunglasses',
+    reason: 'Sun protection',
+    priority: 79,
+    when: { uv: { gt: 5 } }
+  },
+  {
+    id: 'warm-coat',
+    item: 'Warm Coat',
+    reason: 'Feels close to freezing',
+    priority: 78,
+    group: 'outerwear',
+    when: { feelsLike: { lt: { metric: 5, imperial: 41 } } },
+    adjust: { feelsLike: 'cold' }
+  },
+  {
+    id: 'rain-jacket',
+    item: 'Waterproof Jacket',
+    reason: 'Heavy rain or storms',
+    priority: 76,
+    group: 'outerwear',
+    when: { any: [{ condition: { matches: 'thunder|heavy' } }, { precip: { gte: { metric: 5, imperial: 0.2 } } }] }
+  },
+  {
+    id: 'jacket',
+    item: 'Coat/Jacket',
+    reason: 'Chilly temperatures',
+    priority: 70,
+    group: 'outerwear',
+    when: { feelsLike: { lt: { metric: 15, imperial: 59 } } },
+    adjust: { feelsLike: 'cold' }
+  },
+  {
+    id: 'windbreaker',
+    item: 'Windbreaker',
+    reason: 'Strong winds',
+    priority: 65,
+    group: 'outerwear',
+    when: { wind: { gte: { metric: 8, imperial: 18 } } },
+    adjust: { wind: 'wind' }
+  },
+  {
+    id: 'water-heat',
+    item: 'Water Bottle',
+    reason: 'Stay hydrated in heat',
+    priority: 60,
+    when: { any: [{ temp: { gt: { metric: 30, imperial: 86 } } }, { feelsLike: { gt: { metric: 32, imperial: 90 } } }] },
+    adjust: { temp: 'heat', feelsLike: 'heat' }
+  },
+  {
+    id: 'breathable',
+    item: 'Breathable Clothing',
+    reason: 'Hot and humid',
+    priority: 55,
+    when: { humidity: { gte: 75 }, temp: { gte: { metric: 25, imperial: 77 } } },
+    adjust: { humidity: 'humidity', temp: 'heat' }
+  },
+  {
+    id: 'comfortable-shoes',
+    item: 'Comfortable Shoes',
+    reason: 'Good for walking',
+    priority: 0,
+    fallback: true,
+    when: {}
+  }
+];
+
+module.exports = { GEAR_RULES };
@@ -0,0 +1,138 @@
+// ─── Gear Rules Engine ───────────────────────────────────────────────
+// Evaluates the declarative rules in lib/gear-rules.js against a weather
+// snapshot. Fast and reliable, no AI needed.
+const { GEAR_RULES } = require('./gear-rules');
+const { isDefaultProfile, profileShifts } = require('./profile');
+
+const UNITS = ['metric', 'imperial'];
+
+const OPERATORS = {
+  gt: (actual, expected) => actual > expected,
+  gte: (actual, expected) => actual >= expected,
+  lt: (actual, expected) => actual < expected,
+  lte: (actual, expected) => actual <= expected,
+  matches: (actual, source) => new RegExp(source, 'i').test(String(actual))
+};
+
+// { metric, imperial } thresholds resolve to the snapshot's unit system
+function threshold(expected, units) {
+  return expected && typeof expected === 'object' ? expected[units] : expected;
+}
+
+// Every field in a clause must pass. Missing snapshot data never triggers a rule.
+function matchesClause(clause, snapshot, units) {
+  return Object.entries(clause).every(([field, test]) => {
+    if (field === 'any') return test.some(option => matchesClause(option, snapshot, units));
+    const actual = snapshot[field];
+    if (actual === undefined || actual === null || actual === '') return false;
+    return Object.entries(test).every(([op, expected]) => {
+      const compare = OPERATORS[op];
+      if (!compare) throw new Error(`Unknown gear rule operator: ${op}`);
+      return compare(actual, threshold(expected, units));
+    });
+  });
+}
+
+// ─── Comfort Profile ─────────────────────────────────────────────────
+// Rules with `adjust` move their thresholds by the reader's profile shifts
+// (metric; converted for imperial thresholds), so a cold-sensitive reader is
+// told to bring a jacket sooner and an asthmatic gets the mask at "Moderate".
+const IMPERIAL_SCALE = { temp: 9 / 5, feelsLike: 9 / 5, wind: 2.236936 };
+
+function adjustThreshold(expected, field, shift) {
+  const round = value => Math.round(value * 10) / 10;
+  if (expected && typeof expected === 'object') {
+    return { metric: round(expected.metric + shift), imperial: round(expected.imperial + shift * (IMPERIAL_SCALE[field] || 1)) };
+  }
+  return typeof expected === 'number' ? round(expected + shift) : expected;
+}
+
+function adjustClause(clause, adjust, shifts) {
+  return Object.fromEntries(Object.entries(clause).map(([field, test]) => {
+    if (field === 'any') return [field, test.map(option => adjustClause(option, adjust, shifts))];
+    if (!adjust[field]) return [field, test];
+    const shift = shifts[adjust[field]];
+    return [field, Object.fromEntries(Object.entries(test).map(([op, expected]) => [op, op === 'matches' ? expected : adjustThreshold(expected, field, shift)]))];
+  }));
+}
+
+// The rule set as it applies to one reader; the defaults leave it untouched
+function personalizeRules(rules, profile) {
+  if (!profile || isDefaultProfile(profile)) return rules;
+  const shifts = profileShifts(profile);
+  return rules.map(rule => (rule.adjust ? { ...rule, when: adjustClause(rule.when, rule.adjust, shifts) } : rule));
+}
+
+function normalizeSnapshot(input = {}) {
+  const snapshot = { ...input, units: UNITS.includes(input.units) ? input.units : 'metric' };
+  if (snapshot.feelsLike === undefined || snapshot.feelsLike === null) snapshot.feelsLike = snapshot.temp;
+  if (snapshot.condition) snapshot.condition = String(snapshot.condition).toLowerCase();
+  return snapshot;
+}
+
+// Returns { units, gear: [{ item, reason }], trace: [{ id, item, priority, matched, suppressedBy? }] }
+// Highest priority wins; an item or group already taken suppresses later matches.
+// `profile` (lib/profile.js) personalizes the thresholds.
+function evaluateGear(input, { rules = GEAR_RULES, profile } = {}) {
+  const snapshot = normalizeSnapshot(input);
+  const { units } = snapshot;
+  const ordered = [...personalizeRules(rules, profile)].sort((a, b) => b.priority - a.priority);
+
+  const gear = [];
+  const trace = [];
+  const items = new Map(); // item → rule id
+  const groups = new Map(); // group → rule id
+
+  function take(rule, entry) {
+    if (items.has(rule.item)) entry.suppressedBy = items.get(rule.item);
+    else if (rule.group && groups.has(rule.group)) entry.suppressedBy = groups.get(rule.group);
+    else {
+      gear.push({ item: rule.item, reason: rule.reason });
+      items.set(rule.item, rule.id);
+      if (rule.group) groups.set(rule.group, rule.id);
+    }
+  }
+
+  const fallbacks = [];
+  for (const rule of ordered) {
+    const entry = { id: rule.id, item: rule.item, priority: rule.priority, matched: matchesClause(rule.when, snapshot, units) };
+    trace.push(entry);
+    if (rule.fallback) fallbacks.push([rule, entry]);
+    else if (entry.matched) take(rule, entry);
+  }
+
+  // If no specific gear found, add generic recommendation
+  for (const [rule, entry] of fallbacks) {
+    if (gear.length && entry.matched) entry.suppressedBy = 'specific gear';
+    else if (entry.matched) take(rule, entry);
+  }
+
+  return { units, gear, trace };
+}
+
+function recommendGear(snapshot, profile) {
+  return evaluateGear(snapshot, { profile }).gear;
+}
+
+// ─── Forecast Outlook ────────────────────────────────────────────────
+// Chance and amount of precipitation for the rest of the local day (at least
+// the next forecast slot), from OpenWeather's metric 3-hourly forecast.
+// Returns { pop, precip } in the requested units, or {} without a forecast.
+function gearOutlook(forecast, { timezone = 0, units = 'metric', now = Date.now() } = {}) {
+  if (!forecast || !Array.isArray(forecast.list)) return {};
+  const DAY = 24 * 60 * 60 * 1000;
+  const offset = timezone * 1000;
+  const endOfDay = (Math.floor((now + offset) / DAY) + 1) * DAY - offset;
+
+  const upcoming = forecast.list.filter(entry => entry.dt * 1000 > now);
+  const today = upcoming.filter((entry, i) => i === 0 || entry.dt * 1000 < endOfDay);
+  if (!today.length) return {};
+
+  const mm = today.reduce((sum, e) => sum + ((e.rain && e.rain['3h']) || 0) + ((e.snow && e.snow['3h']) || 0), 0);
+  return {
+    pop: Math.max(...today.map(e => e.pop || 0)),
+    precip: units === 'imperial' ? Math.round(mm / 25.4 * 100) / 100 : Math.round(mm * 10) / 10
+  };
+}
+
+module.exports = { evaluateGear, recommendGear, gearOutlook, matchesClause, personalizeRules, adjustThreshold, UNITS };
@@ -0,0 +1,96 @@
+// ─── Structured Logging ──────────────────────────────────────────────
+// One JSON object per line: { time, level, msg, requestId?, ...fields }.
+//   • every incoming request gets an ID (client-supplied X-Request-Id or a
+//     new UUID), returned in the X-Request-Id response header
+//   • the ID follows the request through async work (AsyncLocalStorage), so
+//     upstream calls and errors logged deep in lib/ carry it automatically
+//   • API keys in URLs and messages (appid=, key=, ...) are redacted
+// LOG_LEVEL sets the minimum level (debug, info, warn, error; default info).
+const { AsyncLocalStorage } = require('async_hooks');
+const { randomUUID } = require('crypto');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const SECRET_PARAMS = /([?&](?:appid|key|api_key|apikey|access_token|token)=)[^&\s"'#]+/gi;
+const REQUEST_ID = /^[\w.:-]{1,100}$/; // Accept sane client IDs, replace anything else
+
+const requestContext = new AsyncLocalStorage(); // { requestId, upstream: [] }
+
+function redact(value) {
+  if (typeof value === 'string') return value.replace(SECRET_PARAMS, '$1[REDACTED]');
+  if (Array.isArray(value)) return value.map(redact);
+  if (value instanceof Error) return serializeError(value);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, redact(v)]));
+  }
+  return value;
+}
+
+function serializeError(e) {
+  const out = { name: e.name, message: redact(e.message) };
+  if (e.code) out.code = e.code;
+  if (e.status) out.status = e.status;
+  if (e.upstream) out.upstream = e.upstream;
+  if (!e.code || e.code === 'INTERNAL') out.stack = redact(e.stack); // Expected API errors need no stack
+  return out;
+}
+
+function createLogger({ level = process.env.LOG_LEVEL || 'info', write = line => process.stdout.write(line + '\n') } = {}) {
+  const threshold = LEVELS[level] || LEVELS.info;
+
+  function log(lvl, msg, fields = {}) {
+    if (LEVELS[lvl] < threshold) return;
+    const context = requestContext.getStore();
+    const entry = { time: new Date().toISOString(), level: lvl, msg: redact(msg) };
+    if (context) entry.requestId = context.requestId;
+    write(JSON.stringify({ ...entry, ...redact(fields) }));
+  }
+
+  return {
+    debug: (msg, fields) => log('debug', msg, fields),
+    info: (msg, fields) => log('info', msg, fields),
+    warn: (msg, fields) => log('warn', msg, fields),
+    error: (msg, fields) => log('error', msg, fields)
+  };
+}
+
+const logger = createLogger();
+
+// ─── Request Logging Middleware ──────────────────────────────────────
+// Assigns the request ID and writes one `request` line when the response
+// closes: route, status, duration and the upstream calls it made.
+function requestLogger({ log = logger } = {}) {
+  return (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    const requestId = incoming && REQUEST_ID.test(incoming) ? incoming : randomUUID();
+    const context = { requestId, upstream: [] };
+    const start = process.hrtime.bigint();
+
+    req.id = requestId;
+    res.set('X-Request-Id', requestId);
+
+    res.on('close', () => {
+      requestContext.run(context, () => {
+        const status = res.statusCode;
+        log[status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info']('request', {
+          method: req.method,
+          route: req.route ? req.baseUrl + req.route.path : null,
+          path: req.originalUrl.split('?')[0],
+          status,
+          durationMs: Math.round(Number(process.hrtime.bigint() - start) / 1e5) / 10,
+          aborted: !res.writableFinished || undefined,
+          upstream: context.upstream.length ? context.upstream : undefined
+        });
+      });
+    });
+
+    requestContext.run(context, next);
+  };
+}
+
+// Upstream clients report each attempt here so it lands in the request's log line
+function recordUpstream(call) {
+  const context = requestContext.getStore();
+  if (context) context.upstream.push(call);
+}
+
+module.exports = { logger, requestLogger, recordUpstream, redact };
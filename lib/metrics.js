@@ -0,0 +1,118 @@
+// ─── Metrics ─────────────────────────────────────────────────────────
+// Minimal Prometheus registry: counters, histograms and scrape-time gauges,
+// rendered in the text exposition format (version 0.0.4) at /metrics.
+//   counter(name, help).inc(labels, n)
+//   histogram(name, help, buckets).observe(labels, value)
+//   gauge(name, help, collect)  collect() → [[labels, value], ...] at scrape time
+//   collected(name, help, collect)  same, for counters kept elsewhere (cache stats)
+// Labels must stay low-cardinality: route patterns, services, outcomes.
+
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+// Stable key for a label set, so { a, b } and { b, a } share a series
+function seriesKey(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map(key => [key, String(labels[key])]));
+}
+
+function createMetrics() {
+  const families = new Map(); // name → { type, help, render() }
+
+  function register(name, type, help, render) {
+    if (families.has(name)) throw new Error(`Metric "${name}" is already registered`);
+    families.set(name, { type, help, render });
+  }
+
+  function counter(name, help) {
+    const series = new Map(); // key → { labels, value }
+    register(name, 'counter', help, () =>
+      [...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`));
+
+    return {
+      inc(labels = {}, n = 1) {
+        const key = seriesKey(labels);
+        if (!series.has(key)) series.set(key, { labels, value: 0 });
+        series.get(key).value += n;
+      }
+    };
+  }
+
+  function histogram(name, help, buckets = DURATION_BUCKETS) {
+    const series = new Map(); // key → { labels, counts[], sum, count }
+    register(name, 'histogram', help, () => {
+      const lines = [];
+      for (const { labels, counts, sum, count } of series.values()) {
+        buckets.forEach((le, i) => lines.push(`${name}_bucket${formatLabels({ ...labels, le })} ${counts[i]}`));
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+      }
+      return lines;
+    });
+
+    return {
+      observe(labels, value) {
+        const key = seriesKey(labels);
+        if (!series.has(key)) series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+        const entry = series.get(key);
+        buckets.forEach((le, i) => { if (value <= le) entry.counts[i]++; });
+        entry.sum += value;
+        entry.count++;
+      },
+
+      // Starts a stopwatch; calling the returned function records the elapsed seconds
+      startTimer(labels = {}) {
+        const start = process.hrtime.bigint();
+        return (extra = {}) => this.observe({ ...labels, ...extra }, Number(process.hrtime.bigint() - start) / 1e9);
+      }
+    };
+  }
+
+  // Values read from elsewhere (cache sizes, breaker state) when Prometheus scrapes
+  function scraped(type) {
+    return (name, help, collect) => register(name, type, help, () =>
+      collect().map(([labels, value]) => `${name}${formatLabels(labels)} ${value}`));
+  }
+  const gauge = scraped('gauge');
+  const collected = scraped('counter');
+
+  function render() {
+    const out = [];
+    for (const [name, { type, help, render: lines }] of families) {
+      out.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...lines());
+    }
+    return out.join('\n') + '\n';
+  }
+
+  return { counter, histogram, gauge, collected, render };
+}
+
+// ─── HTTP Instrumentation ────────────────────────────────────────────
+// Counts requests and times them per route pattern (e.g. /api/places, not
+// /api/places?lat=…). Requests that matched no route are labelled `static`
+// (files from public/) or `unmatched` (unknown API paths).
+function httpMetrics(metrics) {
+  const requests = metrics.counter('http_requests_total', 'HTTP requests by route and status');
+  const duration = metrics.histogram('http_request_duration_seconds', 'HTTP request latency by route');
+
+  return (req, res, next) => {
+    const stop = duration.startTimer({ method: req.method });
+    res.on('close', () => { // Also fires when a client drops a stream early
+      let route = req.route ? req.baseUrl + req.route.path : null;
+      if (!route) route = /^\/(api|ai)(\/|\?|$)/.test(req.originalUrl) ? 'unmatched' : 'static';
+      requests.inc({ method: req.method, route, status: res.statusCode });
+      stop({ route });
+    });
+    next();
+  };
+}
+
+module.exports = { createMetrics, httpMetrics, DURATION_BUCKETS };
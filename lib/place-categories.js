@@ -0,0 +1,107 @@
+// ─── Place Categories ────────────────────────────────────────────────
+// Maps OpenStreetMap tags to the categories /api/places understands.
+// Add a category (or a tag value) here and both the Overpass query and
+// the classification of results pick it up.
+//
+//   tags:    [osm key, [values]] pairs
+//   type:    'indoor' | 'outdoor' — used for weather-aware suggestions
+//   members: Overpass element kinds to search (relations for routes)
+const CATEGORIES = {
+  museum: {
+    label: 'Museum',
+    type: 'indoor',
+    tags: [['tourism', ['museum', 'aquarium', 'planetarium']]]
+  },
+  gallery: {
+    label: 'Gallery',
+    type: 'indoor',
+    tags: [['tourism', ['gallery']], ['amenity', ['arts_centre']]]
+  },
+  theatre: {
+    label: 'Theatre',
+    type: 'indoor',
+    tags: [['amenity', ['theatre', 'cinema', 'concert_hall']]]
+  },
+  attraction: {
+    label: 'Attraction',
+    type: 'outdoor',
+    tags: [['tourism', ['attraction', 'theme_park', 'zoo']]]
+  },
+  viewpoint: {
+    label: 'Viewpoint',
+    type: 'outdoor',
+    tags: [['tourism', ['viewpoint']]]
+  },
+  park: {
+    label: 'Park',
+    type: 'outdoor',
+    tags: [['leisure', ['park', 'garden', 'nature_reserve']]]
+  },
+  beach: {
+    label: 'Beach',
+    type: 'outdoor',
+    tags: [['natural', ['beach']], ['leisure', ['beach_resort']]]
+  },
+  hiking: {
+    label: 'Hiking Trail',
+    type: 'outdoor',
+    tags: [['route', ['hiking']]],
+    members: ['way', 'relation']
+  },
+  historic: {
+    label: 'Historic Site',
+    type: 'outdoor',
+    tags: [['historic', ['monument', 'castle', 'ruins', 'fort', 'memorial', 'archaeological_site', 'city_gate', 'palace']]]
+  },
+  religious: {
+    label: 'Place of Worship',
+    type: 'indoor',
+    tags: [['amenity', ['place_of_worship']]]
+  },
+  restaurant: {
+    label: 'Restaurant',
+    type: 'indoor',
+    tags: [['amenity', ['restaurant']]]
+  },
+  cafe: {
+    label: 'Cafe',
+    type: 'indoor',
+    tags: [['amenity', ['cafe']]]
+  }
+};
+
+// Used when the client doesn't ask for specific categories (sightseeing, no food)
+const DEFAULT_CATEGORIES = ['attraction', 'museum', 'gallery', 'viewpoint', 'historic', 'park', 'beach', 'hiking', 'religious'];
+
+const DEFAULT_MEMBERS = ['node', 'way'];
+
+// Overpass union statements for the given categories around a point
+function overpassStatements(categories, lat, lon, radius) {
+  const lines = [];
+  for (const id of categories) {
+    const category = CATEGORIES[id];
+    for (const [key, values] of category.tags) {
+      const filter = `["${key}"~"^(${values.join('|')})$"]`;
+      for (const member of category.members || DEFAULT_MEMBERS) {
+        // Unnamed features are useless as suggestions, so filter them upstream
+        lines.push(`${member}${filter}["name"](around:${radius},${lat},${lon});`);
+      }
+    }
+  }
+  return lines;
+}
+
+// Finds the first requested category whose tags match an element's tags.
+// Returns { id, category, value } (value is the matching tag value) or null.
+function classify(tags, categories) {
+  for (const id of categories) {
+    const category = CATEGORIES[id];
+    for (const [key, values] of category.tags) {
+      const value = tags[key];
+      if (value && values.includes(value)) return { id, category, value };
+    }
+  }
+  return null;
+}
+
+module.exports = { CATEGORIES, DEFAULT_CATEGORIES, overpassStatements, classify };
@@ -0,0 +1,139 @@
+// ─── Weather-aware Place Ranking ─────────────────────────────────────
+// Orders places for the current conditions and the next few forecast hours:
+// museums and galleries rise when it rains or the air is poor, parks and
+// viewpoints rise in pleasant weather. Each place gets a short reason.
+//
+// Weather snapshot (metric): { temp, condition, aqi (1-5), uv, wind (m/s) }
+// Upcoming hours: [{ temp, condition, pop (0-1) }] from the 3-hourly forecast
+
+const LOOKAHEAD_HOURS = 6;
+
+const WET = /rain|drizzle|thunder|shower|snow|sleet/;
+const CLEAR = /clear|few clouds/;
+const SCENIC = ['viewpoint', 'beach', 'hiking'];
+
+// Each factor applies when `when` matches; indoor/outdoor entries are [score, reason].
+// `categories` optionally narrows a factor to some place categories.
+const FACTORS = [
+  {
+    id: 'wet-now',
+    when: ({ now }) => WET.test(now.condition),
+    indoor: [3, 'Stay dry indoors while it rains'],
+    outdoor: [-3, 'Better once the rain clears']
+  },
+  {
+    id: 'wet-later',
+    when: ({ now, upcoming }) => !WET.test(now.condition) && upcoming.some(h => WET.test(h.condition) || h.pop >= 0.5),
+    indoor: [1, 'A good fallback if the forecast rain arrives'],
+    outdoor: [-1, 'Go soon: rain is forecast in the next few hours']
+  },
+  {
+    id: 'poor-air',
+    when: ({ now }) => now.aqi >= 4,
+    indoor: [2, 'Indoor air beats the poor air quality outside'],
+    outdoor: [-2, 'Air quality is poor for long stays outside']
+  },
+  {
+    id: 'heat',
+    when: ({ now, upcoming }) => Math.max(now.temp, ...upcoming.map(h => h.temp)) >= 35,
+    indoor: [1.5, 'Cool off indoors during the heat'],
+    outdoor: [-1.5, 'Very hot: visit early or late']
+  },
+  {
+    id: 'cold',
+    when: ({ now }) => now.temp <= 5,
+    indoor: [1, 'Warm up indoors'],
+    outdoor: [-1, 'Cold outside: dress warmly']
+  },
+  {
+    id: 'high-uv',
+    when: ({ now }) => now.uv >= 8,
+    outdoor: [-1, 'Very high UV: bring shade and sunscreen']
+  },
+  {
+    id: 'windy',
+    when: ({ now }) => now.wind >= 10,
+    outdoor: [-1.5, 'Strong winds at exposed spots'],
+    categories: SCENIC
+  },
+  {
+    id: 'pleasant',
+    when: ({ now, upcoming }) => now.temp >= 15 && now.temp <= 28 && now.aqi <= 3 && !WET.test(now.condition) &&
+      !upcoming.some(h => WET.test(h.condition)),
+    outdoor: [2, 'Pleasant weather for being outside']
+  },
+  {
+    id: 'clear-view',
+    when: ({ now }) => CLEAR.test(now.condition) && now.aqi <= 3,
+    outdoor: [1, 'Clear skies for the view'],
+    categories: ['viewpoint']
+  },
+  {
+    id: 'beach-day',
+    when: ({ now }) => now.temp >= 24 && !WET.test(now.condition) && now.uv < 8,
+    outdoor: [1, 'Warm enough for the beach'],
+    categories: ['beach']
+  }
+];
+
+// Normalizes the snapshot so factors can compare numbers without guards
+function normalizeSnapshot({ temp, condition, aqi, uv, wind } = {}) {
+  const num = (v, fallback) => (v === null || v === undefined || v === '' || !Number.isFinite(Number(v)) ? fallback : Number(v));
+  return {
+    temp: num(temp, 20),
+    condition: String(condition || '').toLowerCase(),
+    aqi: num(aqi, 1),
+    uv: num(uv, 0),
+    wind: num(wind, 0)
+  };
+}
+
+// OpenWeather 5-day/3-hour forecast → entries starting within the lookahead window
+function upcomingHours(forecast, { hours = LOOKAHEAD_HOURS, now = Date.now() } = {}) {
+  if (!forecast || !Array.isArray(forecast.list)) return [];
+  const until = now + hours * 60 * 60 * 1000;
+  return forecast.list
+    .filter(entry => entry.dt * 1000 > now && entry.dt * 1000 <= until)
+    .map(entry => ({
+      temp: entry.main.temp,
+      condition: String((entry.weather[0] && entry.weather[0].description) || '').toLowerCase(),
+      pop: entry.pop || 0
+    }));
+}
+
+// Distance bonus in (0, 1]: 1 next door, 0.5 at 5 km
+function proximity(dist) {
+  const km = Number(dist);
+  return Number.isFinite(km) && dist !== null ? 1 / (1 + km / 5) : 0.5;
+}
+
+// Scores one place; the strongest effect (good or bad) becomes its reason
+function scorePlace(place, active) {
+  let score = proximity(place.dist);
+  let strongest = null;
+
+  for (const factor of active) {
+    const effect = factor[place.type === 'indoor' ? 'indoor' : 'outdoor'];
+    if (!effect) continue;
+    if (factor.categories && !factor.categories.includes(place.category)) continue;
+
+    score += effect[0];
+    if (!strongest || Math.abs(effect[0]) > Math.abs(strongest[0])) strongest = effect;
+  }
+
+  const reason = strongest ? strongest[1] : Number(place.dist) <= 2 ? 'Close by' : 'Worth a visit in these conditions';
+  return { ...place, score: Math.round(score * 100) / 100, reason };
+}
+
+// Returns a new list, best match first (ties: nearest first)
+function rankPlaces(places, { weather, upcoming = [] } = {}) {
+  const context = { now: normalizeSnapshot(weather), upcoming };
+  const active = FACTORS.filter(factor => factor.when(context));
+
+  const km = place => (place.dist === null || place.dist === undefined ? Infinity : Number(place.dist));
+  return places
+    .map(place => scorePlace(place, active))
+    .sort((a, b) => b.score - a.score || km(a) - km(b));
+}
+
+module.exports = { rankPlaces, upcomingHours, FACTORS };
@@ -0,0 +1,153 @@
+// ─── Places ──────────────────────────────────────────────────────────
+// Nearby attractions from OpenStreetMap (Overpass API).
+// Shared by /api/places and /api/conditions.
+const { CATEGORIES, DEFAULT_CATEGORIES, overpassStatements, classify } = require('./place-categories');
+const { ApiError } = require('./errors');
+
+// ─── Search Options ──────────────────────────────────────────────────
+// Body/query params accepted by /api/places. Radius is in metres.
+const PLACES_DEFAULTS = { radius: 10000, limit: 6, page: 1 };
+const PLACES_LIMITS = { radius: [500, 25000], limit: [1, 30], page: [1, 20] };
+const OVERPASS_MAX_RESULTS = 300; // Upper bound fetched before sorting and paging
+const OVERPASS_QUERY_TIMEOUT = 10; // Seconds; Overpass gives up before our client timeout (lib/upstream.js)
+const DUPLICATE_DISTANCE_KM = 1; // Same name within this distance = same place
+
+// Returns { value: { categories, radius, limit, page } } or { errors }
+function parsePlacesOptions(input = {}) {
+  const errors = [];
+  const value = { ...PLACES_DEFAULTS, categories: DEFAULT_CATEGORIES };
+
+  if (input.categories !== undefined && input.categories !== '') {
+    const list = Array.isArray(input.categories) ? input.categories : String(input.categories).split(',');
+    const ids = [...new Set(list.map(c => String(c).trim().toLowerCase()).filter(Boolean))];
+    const unknown = ids.filter(id => !CATEGORIES[id]);
+    if (unknown.length) errors.push(`unknown categories: ${unknown.join(', ')} (expected ${Object.keys(CATEGORIES).join(', ')})`);
+    else if (ids.length) value.categories = ids;
+  }
+
+  for (const [field, [min, max]] of Object.entries(PLACES_LIMITS)) {
+    if (input[field] === undefined || input[field] === '') continue;
+    const n = Number(input[field]);
+    if (!Number.isInteger(n) || n < min || n > max) errors.push(`${field} must be an integer between ${min} and ${max}`);
+    else value[field] = n;
+  }
+
+  return errors.length ? { errors } : { value };
+}
+
+// ─── Overpass API Helper (Tourism Data) ──────────────────────────────
+// Fetches named places in the requested categories using OpenStreetMap data via Overpass API.
+// Returns every match, de-duplicated and sorted nearest first.
+// `upstream` is the shared client from lib/upstream.js.
+// Throws when Overpass fails so callers can decide how to degrade
+async function fetchPlaces(lat, lon, { categories = DEFAULT_CATEGORIES, radius = PLACES_DEFAULTS.radius, upstream }) {
+  const query = `
+    [out:json][timeout:${OVERPASS_QUERY_TIMEOUT}];
+    (
+      ${overpassStatements(categories, lat, lon, radius).join('\n      ')}
+    );
+    out center ${OVERPASS_MAX_RESULTS};
+    `;
+
+  // A read-only query, so safe to retry despite being a POST
+  const response = await upstream.request('overpass', 'https://overpass-api.de/api/interpreter', {
+    method: 'POST',
+    body: query,
+    idempotent: true
+  });
+
+  if (!response.ok) {
+    const code = response.status === 429 ? 'UPSTREAM_RATE_LIMITED' : response.status === 504 ? 'UPSTREAM_TIMEOUT' : 'UPSTREAM_UNAVAILABLE';
+    throw new ApiError(code, 'Overpass API failed', { upstream: { service: 'overpass', status: response.status } });
+  }
+  const data = await response.json();
+
+  // Process and filter results to return clean objects
+  const places = [];
+  for (const el of data.elements || []) {
+    const t = el.tags || {};
+    const match = t.name && classify(t, categories);
+    if (!match) continue;
+
+    const pLat = el.lat || (el.center && el.center.lat);
+    const pLon = el.lon || (el.center && el.center.lon);
+
+    // Calculate distance from user's city center
+    const km = pLat && pLon ? getDistanceFromLatLonInKm(lat, lon, pLat, pLon) : null;
+
+    places.push({
+      name: t.name,
+      type: match.category.type,
+      category: match.id,
+      desc: capitalize(match.value.replace(/_/g, ' ')),
+      dist: km !== null ? km.toFixed(1) : null,
+      km,
+      lat: pLat,
+      lon: pLon
+    });
+  }
+
+  // Unknown distances go last
+  places.sort((a, b) => (a.km ?? Infinity) - (b.km ?? Infinity));
+  return dedupePlaces(places).map(({ km, ...place }) => place);
+}
+
+// OSM often maps one landmark as both a node and a way (or relation).
+// Expects places sorted nearest first, so the closest copy is kept.
+function dedupePlaces(places) {
+  const kept = [];
+  for (const place of places) {
+    const key = place.name.trim().toLowerCase();
+    const duplicate = kept.some(other =>
+      other.name.trim().toLowerCase() === key &&
+      (!place.lat || !other.lat ||
+        getDistanceFromLatLonInKm(place.lat, place.lon, other.lat, other.lon) <= DUPLICATE_DISTANCE_KM));
+    if (!duplicate) kept.push(place);
+  }
+  return kept;
+}
+
+// Slices one page out of a sorted result list
+function pagePlaces(places, { limit = PLACES_DEFAULTS.limit, page = PLACES_DEFAULTS.page } = {}) {
+  const start = (page - 1) * limit;
+  return {
+    places: places.slice(start, start + limit),
+    page,
+    limit,
+    total: places.length,
+    hasMore: start + limit < places.length
+  };
+}
+
+// ─── Helper: Haversine Distance Calculation ──────────────────────────
+function getDistanceFromLatLonInKm(lat1, lon1, lat2, lon2) {
+  const R = 6371; // Radius of the earth in km
+  const dLat = deg2rad(lat2 - lat1);
+  const dLon = deg2rad(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(deg2rad(lat1)) * Math.cos(deg2rad(lat2)) *
+    Math.sin(dLon / 2) * Math.sin(dLon / 2)
+    ;
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  const d = R * c; // Distance in km
+  return d;
+}
+
+function deg2rad(deg) {
+  return deg * (Math.PI / 180)
+}
+
+function capitalize(s) {
+  if (!s) return '';
+  return s.charAt(0).toUpperCase() + s.slice(1);
+}
+
+module.exports = {
+  fetchPlaces,
+  pagePlaces,
+  parsePlacesOptions,
+  PLACES_DEFAULTS,
+  PLACES_LIMITS,
+  getDistanceFromLatLonInKm
+};
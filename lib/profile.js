@@ -0,0 +1,74 @@
+// ─── Comfort Profile ─────────────────────────────────────────────────
+// A reader's own thresholds: the temperature range they find comfortable
+// (°C) and how strongly heat, cold, humidity, wind and poor air affect them.
+// Requests may carry one as `profile`; missing fields use the defaults, so
+// an absent profile behaves exactly like the built-in rules.
+//
+// Settings become metric shifts added to weather thresholds:
+//   heat      °C  (tempMax − 26) − 3 per level; negative fires heat rules sooner
+//   cold      °C  (tempMin − 18) + 3 per level; positive fires cold rules sooner
+//   humidity  %   −10 per level
+//   wind      m/s −2.5 per level
+//   aqi       AQI index −1 per level
+// with levels low = −1, normal = 0, high = +1. The browser applies the same
+// shifts to comfort scores and alerts (public/profile.js).
+
+const SENSITIVITIES = ['low', 'normal', 'high'];
+const SENSITIVITY_LEVEL = { low: -1, normal: 0, high: 1 };
+const SETTINGS = ['heat', 'cold', 'humidity', 'wind', 'aqi'];
+
+const DEFAULT_PROFILE = { tempMin: 18, tempMax: 26, heat: 'normal', cold: 'normal', humidity: 'normal', wind: 'normal', aqi: 'normal' };
+
+// Field specs in the lib/prompts.js format; lib/api-spec.js publishes them as a schema
+const SENSITIVITY = { type: 'string', enum: SENSITIVITIES };
+const PROFILE_FIELDS = {
+  tempMin: { type: 'number', min: -20, max: 35 },
+  tempMax: { type: 'number', min: -15, max: 45 },
+  heat: SENSITIVITY,
+  cold: SENSITIVITY,
+  humidity: SENSITIVITY,
+  wind: SENSITIVITY,
+  aqi: SENSITIVITY
+};
+
+// Complete profile from partial or missing input; a reversed range is swapped
+function normalizeProfile(input) {
+  const profile = { ...DEFAULT_PROFILE };
+  if (input && typeof input === 'object') {
+    for (const key of ['tempMin', 'tempMax']) {
+      if (typeof input[key] === 'number' && Number.isFinite(input[key])) profile[key] = input[key];
+    }
+    for (const key of SETTINGS) {
+      if (SENSITIVITIES.includes(input[key])) profile[key] = input[key];
+    }
+  }
+  if (profile.tempMin > profile.tempMax) [profile.tempMin, profile.tempMax] = [profile.tempMax, profile.tempMin];
+  return profile;
+}
+
+function isDefaultProfile(input) {
+  const profile = normalizeProfile(input);
+  return Object.keys(DEFAULT_PROFILE).every(key => profile[key] === DEFAULT_PROFILE[key]);
+}
+
+// Metric threshold shifts { heat, cold, humidity, wind, aqi } (see above)
+function profileShifts(input) {
+  const profile = normalizeProfile(input);
+  const level = setting => SENSITIVITY_LEVEL[profile[setting]];
+  return {
+    heat: profile.tempMax - DEFAULT_PROFILE.tempMax - 3 * level('heat'),
+    cold: profile.tempMin - DEFAULT_PROFILE.tempMin + 3 * level('cold'),
+    humidity: -10 * level('humidity'),
+    wind: -2.5 * level('wind'),
+    aqi: -level('aqi')
+  };
+}
+
+// Short stable cache key part, e.g. 'default' or '15.22.h.n.n.n.h'
+function profileKey(input) {
+  const profile = normalizeProfile(input);
+  if (isDefaultProfile(profile)) return 'default';
+  return [profile.tempMin, profile.tempMax, ...SETTINGS.map(key => profile[key][0])].join('.');
+}
+
+module.exports = { DEFAULT_PROFILE, SENSITIVITIES, PROFILE_FIELDS, normalizeProfile, isDefaultProfile, profileShifts, profileKey };
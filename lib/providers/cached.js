@@ -0,0 +1,65 @@
+// ─── Cached Provider ─────────────────────────────────────────────────
+// Wraps any weather provider with the shared response cache.
+// Coordinates are rounded so nearby lookups share entries (and upstream calls).
+const TTL = {
+  weather: 10 * 60 * 1000,       // 10 minutes — current conditions change quickly
+  forecast: 30 * 60 * 1000,      // 30 minutes — OpenWeather refreshes every 3h
+  aqi: 30 * 60 * 1000,           // 30 minutes
+  uv: 30 * 60 * 1000,            // 30 minutes
+  search: 24 * 60 * 60 * 1000    // 24 hours — geocoding results rarely change
+};
+
+const COORD_PRECISION = 2; // ~1.1 km
+
+function roundCoord(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? Number(n.toFixed(COORD_PRECISION)) : value;
+}
+
+// Normalizes a location into the params sent upstream and the cache key suffix
+function normalizeLocation({ city, lat, lon }) {
+  if (city) {
+    const name = city.trim();
+    return { location: { city: name }, key: `city:${name.toLowerCase()}` };
+  }
+  const rLat = roundCoord(lat);
+  const rLon = roundCoord(lon);
+  return { location: { lat: rLat, lon: rLon }, key: `coord:${rLat},${rLon}` };
+}
+
+function createCachedProvider(provider, cache, ttl = {}) {
+  const ttls = { ...TTL, ...ttl };
+
+  function cached(kind, rawLocation, call) {
+    const { location, key } = normalizeLocation(rawLocation);
+    return cache.wrap(`${provider.name}:${kind}:${key}`, ttls[kind], () => call(location));
+  }
+
+  return {
+    name: provider.name,
+
+    currentWeather(location) {
+      return cached('weather', location, loc => provider.currentWeather(loc));
+    },
+
+    forecast(location) {
+      return cached('forecast', location, loc => provider.forecast(loc));
+    },
+
+    airQuality(location) {
+      return cached('aqi', location, loc => provider.airQuality(loc));
+    },
+
+    searchCities(q) {
+      const query = q.trim();
+      const key = `${provider.name}:search:${query.toLowerCase()}`;
+      return cache.wrap(key, ttls.search, () => provider.searchCities(query));
+    },
+
+    uvIndex(location) {
+      return cached('uv', location, loc => provider.uvIndex(loc));
+    }
+  };
+}
+
+module.exports = { createCachedProvider, roundCoord };
@@ -0,0 +1,17 @@
+// ─── Provider Errors ─────────────────────────────────────────────────
+// Raised by weather providers when the upstream rejects a request.
+// Carries the upstream HTTP status and body; lib/errors.js maps it to an API error code.
+//   service: upstream name (e.g. 'openweather') reported to clients
+//   code:    explicit API error code when the status alone is ambiguous
+class ProviderError extends Error {
+  constructor(message, status = 500, body = null, { service = null, code = null } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.status = status;
+    this.body = body || { error: message };
+    this.service = service;
+    this.code = code;
+  }
+}
+
+module.exports = { ProviderError };
@@ -0,0 +1,90 @@
+// ─── Fixture Provider ────────────────────────────────────────────────
+// Offline provider that serves recorded OpenWeatherMap payloads from disk.
+// Lets the UI be developed and tested without an API key or network.
+//
+// Layout of the fixture directory:
+//   cities.json              → list of recorded cities (geocoding results)
+//   <slug>/weather.json      → current weather
+//   <slug>/forecast.json     → 5-day / 3-hour forecast
+//   <slug>/aqi.json          → air pollution
+//   <slug>/uv.json           → UV index
+const fs = require('fs');
+const path = require('path');
+const { ProviderError } = require('./errors');
+
+const DEFAULT_DIR = path.join(__dirname, '..', '..', 'fixtures');
+
+function createFixtureProvider({ dir = process.env.FIXTURE_DIR || DEFAULT_DIR } = {}) {
+  const fileCache = new Map();
+
+  function readJson(relPath) {
+    if (!fileCache.has(relPath)) {
+      const full = path.join(dir, relPath);
+      if (!fs.existsSync(full)) throw new ProviderError('Fixture not found', 404, { cod: '404', message: 'fixture not found' }, { service: 'fixture' });
+      fileCache.set(relPath, JSON.parse(fs.readFileSync(full, 'utf8')));
+    }
+    // Hand out copies so callers cannot mutate the recorded payload
+    return structuredClone(fileCache.get(relPath));
+  }
+
+  function cities() {
+    return readJson('cities.json');
+  }
+
+  // Resolves a city name, or the recorded city nearest to the coordinates
+  function resolveCity({ city, lat, lon }) {
+    const list = cities();
+    if (city) {
+      const wanted = city.split(',')[0].trim().toLowerCase();
+      const match = list.find(c => c.name.toLowerCase() === wanted);
+      if (!match) throw new ProviderError('City not found', 404, { cod: '404', message: 'city not found' }, { service: 'fixture' });
+      return match;
+    }
+
+    const pLat = Number(lat);
+    const pLon = Number(lon);
+    if (!Number.isFinite(pLat) || !Number.isFinite(pLon)) {
+      throw new ProviderError('Invalid coordinates', 400, { cod: '400', message: 'wrong latitude or longitude' }, { service: 'fixture' });
+    }
+    return list.reduce((best, c) => {
+      const d = (c.lat - pLat) ** 2 + (c.lon - pLon) ** 2;
+      return !best || d < best.d ? { ...c, d } : best;
+    }, null);
+  }
+
+  async function load(location, file) {
+    const match = resolveCity(location);
+    return readJson(path.join(match.slug, file));
+  }
+
+  return {
+    name: 'fixture',
+
+    currentWeather(location) {
+      return load(location, 'weather.json');
+    },
+
+    forecast(location) {
+      return load(location, 'forecast.json');
+    },
+
+    airQuality(location) {
+      return load(location, 'aqi.json');
+    },
+
+    async searchCities(q) {
+      const needle = q.trim().toLowerCase();
+      return cities()
+        .filter(c => c.name.toLowerCase().startsWith(needle))
+        .slice(0, 5)
+        .map(({ slug, ...geo }) => geo);
+    },
+
+    async uvIndex(location) {
+      const data = await load(location, 'uv.json');
+      return { uvi: data.current.uvi, source: 'fixture', estimated: false };
+    }
+  };
+}
+
+module.exports = { createFixtureProvider };
@@ -0,0 +1,29 @@
+// ─── Weather Provider Registry ───────────────────────────────────────
+// Selects the weather data provider from the WEATHER_PROVIDER env var.
+//   openweather (default) → live OpenWeatherMap APIs
+//   fixture               → recorded JSON from ./fixtures (no key, no network)
+//
+// Every provider exposes the same async interface:
+//   currentWeather({ city } | { lat, lon })
+//   forecast({ city } | { lat, lon })
+//   airQuality({ lat, lon })
+//   searchCities(query)
+//   uvIndex({ lat, lon })       → { uvi, source, estimated } (throws when unavailable)
+const { createOpenWeatherProvider } = require('./openweather');
+const { createFixtureProvider } = require('./fixture');
+const { ProviderError } = require('./errors');
+
+const providers = {
+  openweather: createOpenWeatherProvider,
+  fixture: createFixtureProvider
+};
+
+function createWeatherProvider(name = process.env.WEATHER_PROVIDER || 'openweather', options = {}) {
+  const factory = providers[name.toLowerCase()];
+  if (!factory) {
+    throw new Error(`Unknown WEATHER_PROVIDER "${name}" (expected one of: ${Object.keys(providers).join(', ')})`);
+  }
+  return factory(options);
+}
+
+module.exports = { createWeatherProvider, ProviderError };
@@ -0,0 +1,66 @@
+// ─── OpenWeatherMap Provider ─────────────────────────────────────────
+// Live provider backed by the OpenWeatherMap REST APIs.
+// Returns upstream payloads unchanged so the frontend keeps its data shapes.
+const { ProviderError } = require('./errors');
+const { createUpstreamClient } = require('../upstream');
+
+const BASE_URL = 'https://api.openweathermap.org';
+const ONECALL_RETRY_MS = 60 * 60 * 1000;
+
+function createOpenWeatherProvider({ apiKey = process.env.OPENWEATHER_API_KEY, upstream = createUpstreamClient() } = {}) {
+  let oneCallUnavailableUntil = 0;
+
+  // Shared GET helper: attaches the key and forwards upstream errors.
+  // Timeouts, retries and the circuit breaker live in the upstream client.
+  async function get(pathname, params, label) {
+    if (!apiKey) throw new ProviderError('Weather API key missing', 500, null, { service: 'openweather', code: 'NOT_CONFIGURED' });
+
+    const qs = new URLSearchParams({ ...params, appid: apiKey });
+    const response = await upstream.request('openweather', `${BASE_URL}${pathname}?${qs}`);
+
+    const data = await response.json().catch(() => null);
+    if (!response.ok) throw new ProviderError(`${label} error`, response.status, data, { service: 'openweather' });
+    return data;
+  }
+
+  // Builds either a `q=` or a `lat/lon` query
+  function locationParams({ city, lat, lon }) {
+    return city ? { q: city } : { lat, lon };
+  }
+
+  return {
+    name: 'openweather',
+
+    currentWeather(location) {
+      return get('/data/2.5/weather', { ...locationParams(location), units: 'metric' }, 'Weather API');
+    },
+
+    forecast(location) {
+      return get('/data/2.5/forecast', { ...locationParams(location), units: 'metric' }, 'Forecast API');
+    },
+
+    airQuality({ lat, lon }) {
+      return get('/data/2.5/air_pollution', { lat, lon }, 'AQI API');
+    },
+
+    searchCities(q) {
+      return get('/geo/1.0/direct', { q, limit: 5 }, 'Search API');
+    },
+
+    // OneCall 3.0 needs a separate subscription; when the key lacks it, stop
+    // asking for an hour and let the caller fall back to an estimate
+    async uvIndex({ lat, lon }) {
+      if (Date.now() < oneCallUnavailableUntil) throw new ProviderError('OneCall 3.0 unavailable', 503, null, { service: 'openweather' });
+
+      try {
+        const data = await get('/data/3.0/onecall', { lat, lon, exclude: 'minutely,hourly,daily,alerts', units: 'metric' }, 'UV API');
+        return { uvi: data.current.uvi, source: 'openweather-onecall-3.0', estimated: false };
+      } catch (e) {
+        if ([401, 403, 404].includes(e.status)) oneCallUnavailableUntil = Date.now() + ONECALL_RETRY_MS;
+        throw e;
+      }
+    }
+  };
+}
+
+module.exports = { createOpenWeatherProvider };
@@ -0,0 +1,101 @@
+// ─── Rate Limiting ───────────────────────────────────────────────────
+// Token-bucket limiter keyed per signed-in user (req.user.uid) or per client IP.
+// Each named limit has its own buckets, so AI routes and weather proxies are
+// throttled independently. Exceeding a limit returns 429 with Retry-After.
+const { ApiError, sendError } = require('./errors');
+const { logger } = require('./logger');
+
+// Default limits: `capacity` = burst size, `refillPerMinute` = sustained rate
+const DEFAULT_LIMITS = {
+  summary: { capacity: 10, refillPerMinute: 6 },
+  travelAdvice: { capacity: 5, refillPerMinute: 3 },
+  compareVerdict: { capacity: 5, refillPerMinute: 3 },
+  weather: { capacity: 30, refillPerMinute: 30 },
+  forecast: { capacity: 30, refillPerMinute: 30 },
+  aqi: { capacity: 30, refillPerMinute: 30 },
+  uv: { capacity: 30, refillPerMinute: 30 },
+  search: { capacity: 60, refillPerMinute: 60 }, // Autocomplete fires while typing
+  places: { capacity: 20, refillPerMinute: 10 },
+  gear: { capacity: 30, refillPerMinute: 30 },
+  conditions: { capacity: 20, refillPerMinute: 20 }
+};
+
+// RATE_LIMITS env var (JSON) overrides individual limits, e.g.
+//   RATE_LIMITS='{"travelAdvice":{"capacity":10,"refillPerMinute":5}}'
+// A new limit name must give both settings; an entry that leaves either one
+// missing or not a positive number stops the server at startup.
+function loadLimits(env = process.env.RATE_LIMITS) {
+  if (!env) return DEFAULT_LIMITS;
+  let overrides;
+  try {
+    overrides = JSON.parse(env);
+  } catch (e) {
+    logger.error('Invalid RATE_LIMITS env, using defaults', { error: e.message });
+    return DEFAULT_LIMITS;
+  }
+
+  const merged = { ...DEFAULT_LIMITS };
+  for (const [name, limit] of Object.entries(overrides)) {
+    merged[name] = { ...merged[name], ...limit };
+    const invalid = ['capacity', 'refillPerMinute'].filter(key => !(typeof merged[name][key] === 'number' && merged[name][key] > 0));
+    if (invalid.length) {
+      throw new Error(`Invalid RATE_LIMITS entry "${name}": ${invalid.join(' and ')} must be a positive number`);
+    }
+  }
+  return merged;
+}
+
+function createRateLimiter(limits = loadLimits()) {
+  const buckets = new Map(); // `${name}|${identity}` → { tokens, updated }
+
+  function identity(req) {
+    return req.user ? `user:${req.user.uid}` : `ip:${req.ip}`;
+  }
+
+  // Refills a bucket for the elapsed time, then tries to take one token
+  function take(name, id) {
+    const { capacity, refillPerMinute } = limits[name];
+    const ratePerMs = refillPerMinute / 60000;
+    const key = `${name}|${id}`;
+    const now = Date.now();
+
+    const bucket = buckets.get(key) || { tokens: capacity, updated: now };
+    bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updated) * ratePerMs);
+    bucket.updated = now;
+    buckets.set(key, bucket);
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return { allowed: true, remaining: Math.floor(bucket.tokens), capacity };
+    }
+    const retryAfter = Math.ceil((1 - bucket.tokens) / ratePerMs / 1000);
+    return { allowed: false, remaining: 0, capacity, retryAfter };
+  }
+
+  // Express middleware for one named limit
+  function limit(name) {
+    if (!limits[name]) throw new Error(`Unknown rate limit "${name}"`);
+
+    return (req, res, next) => {
+      const result = take(name, identity(req));
+      res.setHeader('RateLimit-Limit', result.capacity);
+      res.setHeader('RateLimit-Remaining', result.remaining);
+      if (result.allowed) return next();
+
+      sendError(res, new ApiError('RATE_LIMITED', 'Too many requests', { retryAfter: result.retryAfter })); // Sets Retry-After
+    };
+  }
+
+  // Full buckets carry no state worth keeping; drop them to bound memory
+  function sweep() {
+    const now = Date.now();
+    for (const [key, bucket] of buckets) {
+      const { capacity, refillPerMinute } = limits[key.split('|')[0]];
+      if (bucket.tokens + (now - bucket.updated) * (refillPerMinute / 60000) >= capacity) buckets.delete(key);
+    }
+  }
+
+  return { limit, sweep, get size() { return buckets.size; } };
+}
+
+module.exports = { createRateLimiter, DEFAULT_LIMITS };
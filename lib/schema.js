@@ -0,0 +1,112 @@
+// ─── JSON Schema (Subset) ────────────────────────────────────────────
+// Minimal, dependency-free validator for the JSON Schema keywords we use:
+//   type, nullable, enum, properties, required, additionalProperties,
+//   items, minItems, maxItems, minLength, maxLength, minimum, maximum, anyOf
+// Schemas stay plain objects so they can also be published (OpenAPI) or
+// handed to an AI provider as a response schema.
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(expected, value) {
+  const actual = typeOf(value);
+  if (expected === 'number') return actual === 'number' || actual === 'integer';
+  return expected === actual;
+}
+
+// Returns a list of human-readable errors (empty when valid)
+function validate(schema, value, path = '') {
+  const at = path || 'value';
+  const errors = [];
+
+  if (value === null || value === undefined) {
+    if (value === null && schema.nullable) return errors;
+    errors.push(`${at} is required`);
+    return errors;
+  }
+
+  if (schema.anyOf) {
+    if (!schema.anyOf.some(option => validate(option, value, path).length === 0)) errors.push(describeAnyOf(schema.anyOf, at));
+    if (!schema.type) return errors;
+  }
+
+  if (schema.type && !matchesType(schema.type, value)) {
+    errors.push(`${at} must be ${/^[aeiou]/.test(schema.type) ? 'an' : 'a'} ${schema.type}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at} must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${at} must be at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${at} must be at most ${schema.maxLength} characters`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at} must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at} must be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${at} must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${at} must have at most ${schema.maxItems} items`);
+    if (schema.items) value.forEach((item, i) => errors.push(...validate(schema.items, item, `${at}[${i}]`)));
+  }
+
+  // Untyped object clauses (e.g. anyOf: [{ required: [...] }]) still check their keys
+  if (schema.type === 'object' || (!schema.type && typeOf(value) === 'object')) {
+    const props = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path ? `${path}.` : ''}${key} is required`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const childPath = path ? `${path}.${key}` : key;
+      if (props[key]) errors.push(...validate(props[key], child, childPath));
+      else if (schema.additionalProperties === false) errors.push(`${childPath} is not allowed`);
+    }
+  }
+
+  return errors;
+}
+
+// "city or lat and lon are required" / "categories must be an array or a string"
+function describeAnyOf(options, at) {
+  if (options.every(o => o.required && Object.keys(o).length === 1)) {
+    return `${options.map(o => o.required.join(' and ')).join(' or ')} required`;
+  }
+  if (options.every(o => o.type)) return `${at} must be ${options.map(o => `${o.type === 'array' || o.type === 'object' ? 'an' : 'a'} ${o.type}`).join(' or ')}`;
+  return `${at} does not match any allowed shape`;
+}
+
+// Query strings arrive as text: converts values to the types the schema declares
+// (numbers, integers, booleans, comma-separated arrays, nested objects such as
+// profile[tempMin]=15) and drops empty values.
+// Values that don't convert are left as-is so validate() reports them.
+function coerce(schema, input) {
+  const value = {};
+  const props = (schema && schema.properties) || {};
+  for (const [key, raw] of Object.entries(input || {})) {
+    if (raw === '' || raw === undefined) continue;
+    const type = props[key] && (props[key].type || (props[key].anyOf && props[key].anyOf[0].type));
+    if ((type === 'number' || type === 'integer') && typeof raw === 'string' && raw.trim() !== '' && Number.isFinite(Number(raw))) {
+      value[key] = Number(raw);
+    } else if (type === 'boolean' && (raw === 'true' || raw === 'false')) {
+      value[key] = raw === 'true';
+    } else if (type === 'array' && typeof raw === 'string') {
+      value[key] = raw.split(',').map(v => v.trim()).filter(Boolean);
+    } else if (type === 'object' && raw && typeof raw === 'object' && !Array.isArray(raw)) {
+      value[key] = coerce(props[key], raw);
+    } else {
+      value[key] = raw;
+    }
+  }
+  return value;
+}
+
+module.exports = { validate, coerce, typeOf };
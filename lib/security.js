@@ -0,0 +1,52 @@
+// ─── Security Headers ────────────────────────────────────────────────
+// Sets a Content Security Policy and related hardening headers on every response.
+// The CSP allows exactly the third parties the frontend uses:
+//   • Firebase SDK modules from www.gstatic.com (+ Google auth/analytics endpoints)
+//   • Google Fonts (fonts.googleapis.com / fonts.gstatic.com)
+//   • Weather icons from openweathermap.org, avatars from googleusercontent.com
+
+function buildCsp({ authDomain } = {}) {
+  // Firebase Auth opens its popup/iframe on the project's auth domain
+  const authFrames = ['https://*.firebaseapp.com', 'https://accounts.google.com', 'https://apis.google.com'];
+  if (authDomain) authFrames.push(`https://${authDomain}`);
+
+  const directives = {
+    'default-src': ["'self'"],
+    'script-src': ["'self'", 'https://www.gstatic.com', 'https://apis.google.com', 'https://www.googletagmanager.com'],
+    'style-src': ["'self'", "'unsafe-inline'", 'https://fonts.googleapis.com'], // Rendered cards use inline styles
+    'font-src': ["'self'", 'https://fonts.gstatic.com'],
+    'img-src': ["'self'", 'data:', 'https://openweathermap.org', 'https://*.googleusercontent.com'],
+    'connect-src': [
+      "'self'",
+      'https://*.googleapis.com',
+      'https://www.google-analytics.com',
+      'https://*.google-analytics.com',
+      'https://www.googletagmanager.com'
+    ],
+    'frame-src': authFrames,
+    'frame-ancestors': ["'none'"],
+    'object-src': ["'none'"],
+    'base-uri': ["'self'"],
+    'form-action': ["'self'"]
+  };
+
+  return Object.entries(directives)
+    .map(([name, values]) => `${name} ${values.join(' ')}`)
+    .join('; ');
+}
+
+function securityHeaders(options = {}) {
+  const csp = buildCsp(options);
+
+  return (req, res, next) => {
+    res.setHeader('Content-Security-Policy', csp);
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('Referrer-Policy', 'strict-origin-when-cross-origin');
+    res.setHeader('X-Frame-Options', 'DENY'); // Legacy counterpart of frame-ancestors
+    res.setHeader('Cross-Origin-Opener-Policy', 'same-origin-allow-popups'); // Keeps Google sign-in popup working
+    res.setHeader('Permissions-Policy', 'geolocation=(self), camera=(), microphone=()');
+    next();
+  };
+}
+
+module.exports = { securityHeaders, buildCsp };
@@ -0,0 +1,46 @@
+// ─── Server-Sent Events ──────────────────────────────────────────────
+// Small helper for streaming responses. Events are JSON-encoded:
+//   event: <name>
+//   data: <json>
+// `signal` aborts when the client disconnects, so upstream calls can stop early.
+
+const HEARTBEAT_MS = 15000; // Keeps proxies from closing idle streams
+const REPLAY_CHUNK = 24;    // Characters per token when replaying cached text
+
+function openSse(res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable nginx response buffering
+  });
+  res.flushHeaders();
+
+  const controller = new AbortController();
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    controller.abort();
+  });
+
+  function send(event, data) {
+    if (res.writableEnded) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  // Streams already-complete text as token events (used for cache hits)
+  function replay(text) {
+    for (let i = 0; i < text.length; i += REPLAY_CHUNK) {
+      send('token', { text: text.slice(i, i + REPLAY_CHUNK) });
+    }
+  }
+
+  function close() {
+    clearInterval(heartbeat);
+    if (!res.writableEnded) res.end();
+  }
+
+  return { send, replay, close, signal: controller.signal };
+}
+
+module.exports = { openSse };
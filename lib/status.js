@@ -0,0 +1,53 @@
+// ─── Health & Status ─────────────────────────────────────────────────
+// /api/health is liveness: the process is up and answering.
+// /api/status is readiness: which integrations are configured, how each
+// upstream has been doing, cache sizes and uptime. Secrets are reported as
+// set or missing (by env var name), never by value.
+const { version } = require('../package.json');
+
+// Needed by the sign-in flow; storageBucket, messagingSenderId and measurementId are optional
+const FIREBASE_REQUIRED = ['FIREBASE_API_KEY', 'FIREBASE_AUTH_DOMAIN', 'FIREBASE_PROJECT_ID', 'FIREBASE_APP_ID'];
+
+// Placeholder values from .env templates count as missing
+function isSet(value) {
+  return Boolean(value) && !value.startsWith('PLACEHOLDER');
+}
+
+function integrations(env, weatherProvider, ai) {
+  const firebaseMissing = FIREBASE_REQUIRED.filter(name => !isSet(env[name]));
+  return {
+    weather: {
+      provider: weatherProvider,
+      configured: weatherProvider !== 'openweather' || isSet(env.OPENWEATHER_API_KEY)
+    },
+    ai: { provider: ai.name, model: ai.model, configured: ai.configured },
+    firebase: { configured: firebaseMissing.length === 0, missing: firebaseMissing }
+  };
+}
+
+function health() {
+  return { status: 'ok', uptime: Math.round(process.uptime()) };
+}
+
+// Ready when weather data can be served: the provider is configured and, for
+// the live provider, its circuit is not open. AI and sign-in are optional.
+function buildStatus({ env = process.env, weatherProvider, ai, upstream, responseCache, aiCache }) {
+  const configured = integrations(env, weatherProvider.name, ai);
+  const upstreams = upstream.status();
+  const weatherReachable = weatherProvider.name !== 'openweather' || upstreams.openweather.state !== 'open';
+
+  return {
+    ready: configured.weather.configured && weatherReachable,
+    version,
+    startedAt: new Date(Date.now() - process.uptime() * 1000).toISOString(),
+    uptime: Math.round(process.uptime()),
+    integrations: configured,
+    upstreams,
+    caches: {
+      responses: responseCache.stats(),
+      ai: { size: aiCache.size }
+    }
+  };
+}
+
+module.exports = { health, buildStatus };
@@ -0,0 +1,85 @@
+// ─── Structured AI Output ────────────────────────────────────────────
+// Asks the model for JSON matching a schema, then parses, repairs and
+// validates it. Invalid output gets one follow-up attempt that quotes the
+// validation errors back to the model before the request fails.
+const { validate } = require('./schema');
+const { ApiError } = require('./errors');
+
+const DEFAULT_ATTEMPTS = 2;
+
+// Pulls the JSON object out of model text (tolerates ```json fences and chatter)
+function extractJson(text) {
+  const cleaned = String(text).replace(/```(?:json)?/gi, '').trim();
+  const start = cleaned.indexOf('{');
+  const end = cleaned.lastIndexOf('}');
+  if (start === -1 || end <= start) throw new Error('No JSON object in model output');
+  return JSON.parse(cleaned.slice(start, end + 1));
+}
+
+// Best-effort fixes for common model drift before validation:
+// trims strings, strips markdown asterisks, drops unknown keys, caps lengths,
+// maps "None"/"" to null where allowed and matches enums case-insensitively
+function repair(schema, value) {
+  if (value === undefined || value === null) return value;
+
+  if (schema.type === 'string' && typeof value === 'string') {
+    let text = value.replace(/\*/g, '').trim();
+    if (schema.nullable && (!text || /^none\.?$/i.test(text))) return null;
+    if (schema.enum) text = schema.enum.find(opt => opt.toLowerCase() === text.toLowerCase()) || text;
+    if (schema.maxLength) text = text.slice(0, schema.maxLength);
+    return text;
+  }
+
+  if (schema.type === 'array' && Array.isArray(value)) {
+    const items = schema.items ? value.map(item => repair(schema.items, item)) : value;
+    return schema.maxItems ? items.slice(0, schema.maxItems) : items;
+  }
+
+  if (schema.type === 'object' && value && typeof value === 'object' && !Array.isArray(value)) {
+    const out = {};
+    for (const [key, child] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) out[key] = repair(child, value[key]);
+    }
+    return out;
+  }
+
+  return value;
+}
+
+function parseStructured(schema, text) {
+  const value = repair(schema, extractJson(text));
+  const errors = validate(schema, value);
+  return { value, errors };
+}
+
+// generate(prompt, { responseSchema }) → raw model text
+async function generateStructured({ prompt, schema, generate, attempts = DEFAULT_ATTEMPTS }) {
+  let currentPrompt = prompt;
+  let lastErrors = [];
+
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    const text = await generate(currentPrompt, { responseSchema: schema });
+
+    let result;
+    try {
+      result = parseStructured(schema, text);
+    } catch (e) {
+      result = { errors: [e.message] };
+    }
+    if (!result.errors.length) return result.value;
+
+    lastErrors = result.errors;
+    currentPrompt = `${prompt}
+
+Your previous answer was not valid JSON for the required schema:
+${lastErrors.slice(0, 5).map(err => `- ${err}`).join('\n')}
+Previous answer:
+${String(text).slice(0, 2000)}
+
+Reply again with ONLY the corrected JSON object.`;
+  }
+
+  throw new ApiError('AI_INVALID_OUTPUT', `Invalid AI output: ${lastErrors.slice(0, 3).join('; ')}`);
+}
+
+module.exports = { generateStructured, parseStructured, extractJson, repair };
@@ -0,0 +1,41 @@
+// ─── Unit Systems ────────────────────────────────────────────────────
+// Weather data is fetched, cached and scored in metric (°C, m/s, mm).
+// Requests may ask for imperial output; these helpers convert canonical
+// values at the edges: gear thresholds and the wording of AI answers.
+const { UNITS } = require('./gear');
+
+const toFahrenheit = celsius => celsius * 9 / 5 + 32;
+const toMph = metresPerSecond => metresPerSecond * 2.236936;
+
+function unitSystem(value) {
+  return UNITS.includes(value) ? value : 'metric';
+}
+
+// "31°C" or "88°F" from a Celsius value
+function formatTemp(celsius, units) {
+  if (typeof celsius !== 'number') return 'N/A';
+  return unitSystem(units) === 'imperial' ? `${Math.round(toFahrenheit(celsius))}°F` : `${Math.round(celsius)}°C`;
+}
+
+// "4 m/s" or "9 mph" from a m/s value
+function formatWind(metresPerSecond, units) {
+  if (typeof metresPerSecond !== 'number') return 'N/A';
+  return unitSystem(units) === 'imperial' ? `${Math.round(toMph(metresPerSecond))} mph` : `${metresPerSecond} m/s`;
+}
+
+// Metric gear snapshot → the requested system, so rules use that system's thresholds.
+// Precipitation is converted by gearOutlook() itself.
+function gearSnapshot(snapshot, units) {
+  const system = unitSystem(units);
+  if (system === 'metric') return { ...snapshot, units: system };
+  const convert = (value, fn) => (typeof value === 'number' ? Math.round(fn(value) * 10) / 10 : value);
+  return {
+    ...snapshot,
+    units: system,
+    temp: convert(snapshot.temp, toFahrenheit),
+    feelsLike: convert(snapshot.feelsLike, toFahrenheit),
+    wind: convert(snapshot.wind, toMph)
+  };
+}
+
+module.exports = { unitSystem, formatTemp, formatWind, gearSnapshot, toFahrenheit, toMph };
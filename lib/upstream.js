@@ -0,0 +1,250 @@
+// ─── Upstream Client ─────────────────────────────────────────────────
+// Every call to OpenWeather, Overpass, the AI backends and Google's Firebase
+// signing certificates goes through here:
+//   • per-service timeout (AbortController), reported as UPSTREAM_TIMEOUT
+//   • bounded retries with full-jitter backoff, for idempotent calls only
+//   • a circuit breaker per service that fails fast after repeated errors
+//     closed → open (after `failureThreshold` failures in a row)
+//     open → half-open (after `cooldownMs`; one trial request is let through)
+//     half-open → closed on success, back to open on failure
+// Only outages count against the breaker (network errors, timeouts, 5xx),
+// never 4xx answers like "city not found".
+const { ApiError } = require('./errors');
+const { logger, recordUpstream, redact } = require('./logger');
+
+// `timeoutMs` covers the whole exchange; for streamed responses it covers
+// the wait for headers only, so long AI streams are not cut off
+const DEFAULT_POLICIES = {
+  openweather: { timeoutMs: 8000, retries: 2, failureThreshold: 5, cooldownMs: 30000 },
+  overpass: { timeoutMs: 15000, retries: 1, failureThreshold: 3, cooldownMs: 60000 },
+  gemini: { timeoutMs: 30000, retries: 0, failureThreshold: 5, cooldownMs: 30000 },
+  openai: { timeoutMs: 60000, retries: 0, failureThreshold: 5, cooldownMs: 30000 }, // Local models can be slow to start
+  firebase: { timeoutMs: 5000, retries: 2, failureThreshold: 3, cooldownMs: 60000 } // Google's token signing certificates
+};
+
+const RETRY_BASE_MS = 250;
+const RETRY_MAX_MS = 2000;
+const RETRY_STATUSES = [500, 502, 503, 504];
+
+// UPSTREAM_POLICIES env var (JSON) overrides individual settings, e.g.
+//   UPSTREAM_POLICIES='{"overpass":{"timeoutMs":20000}}'
+function loadPolicies(env = process.env.UPSTREAM_POLICIES) {
+  if (!env) return DEFAULT_POLICIES;
+  try {
+    const overrides = JSON.parse(env);
+    const merged = { ...DEFAULT_POLICIES };
+    for (const [service, policy] of Object.entries(overrides)) {
+      merged[service] = { ...merged[service], ...policy };
+    }
+    return merged;
+  } catch (e) {
+    logger.error('Invalid UPSTREAM_POLICIES env, using defaults', { error: e.message });
+    return DEFAULT_POLICIES;
+  }
+}
+
+// Random delay in [0, min(max, base · 2^attempt)) so retrying clients spread out
+function backoff(attempt) {
+  return Math.random() * Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** attempt);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Call counts, attempts and latency per service (lib/metrics.js); no-ops without a registry.
+// Outcomes: success, client_error (4xx), server_error (5xx after retries),
+// timeout, unreachable, circuit_open, aborted (the caller went away)
+function instrument(metrics) {
+  if (!metrics) return { attempt() {}, outcome() {}, timer: () => () => {} };
+  const requests = metrics.counter('upstream_requests_total', 'Upstream calls by service and outcome, after retries');
+  const attempts = metrics.counter('upstream_attempts_total', 'Upstream HTTP attempts, including retries');
+  const duration = metrics.histogram('upstream_request_duration_seconds', 'Upstream call latency, including retries');
+  return {
+    attempt: service => attempts.inc({ service }),
+    outcome: (service, outcome) => requests.inc({ service, outcome }),
+    timer: service => duration.startTimer({ service })
+  };
+}
+
+function responseOutcome(status) {
+  if (status >= 500) return 'server_error';
+  return status >= 400 ? 'client_error' : 'success';
+}
+
+function createUpstreamClient(policies = loadPolicies(), { metrics } = {}) {
+  const instruments = instrument(metrics);
+  const breakers = new Map(); // service → { state, failures, openedAt, trial, lastSuccess, lastFailure, lastError }
+
+  function policyFor(service) {
+    const policy = policies[service];
+    if (!policy) throw new Error(`No upstream policy for "${service}"`);
+    return policy;
+  }
+
+  function breakerFor(service) {
+    if (!breakers.has(service)) {
+      breakers.set(service, { state: 'closed', failures: 0, openedAt: null, trial: false, lastSuccess: null, lastFailure: null, lastError: null });
+    }
+    return breakers.get(service);
+  }
+
+  // Throws while the circuit is open; moves to half-open once the cooldown is over
+  function admit(service) {
+    const breaker = breakerFor(service);
+    const { cooldownMs } = policyFor(service);
+
+    if (breaker.state === 'open' && Date.now() - breaker.openedAt >= cooldownMs) {
+      breaker.state = 'half-open';
+      breaker.trial = false;
+    }
+    if (breaker.state === 'half-open' && !breaker.trial) {
+      breaker.trial = true; // This request is the trial
+      return;
+    }
+    if (breaker.state !== 'closed') {
+      instruments.outcome(service, 'circuit_open');
+      const retryAfter = Math.max(1, Math.ceil((breaker.openedAt + cooldownMs - Date.now()) / 1000));
+      throw new ApiError('UPSTREAM_UNAVAILABLE', `${service} circuit open`, {
+        upstream: { service, status: null },
+        retryAfter
+      });
+    }
+  }
+
+  function recordSuccess(service) {
+    const breaker = breakerFor(service);
+    if (breaker.state !== 'closed') logger.info('Upstream circuit closed', { service });
+    Object.assign(breaker, { state: 'closed', failures: 0, openedAt: null, trial: false, lastSuccess: Date.now() });
+  }
+
+  // `reason` is our own wording (never the URL, which may carry an API key)
+  function recordFailure(service, reason) {
+    const breaker = breakerFor(service);
+    breaker.failures++;
+    breaker.lastFailure = Date.now();
+    breaker.lastError = reason;
+    if (breaker.state === 'half-open' || breaker.failures >= policyFor(service).failureThreshold) {
+      if (breaker.state !== 'open') logger.warn('Upstream circuit open', { service, failures: breaker.failures, lastError: reason });
+      Object.assign(breaker, { state: 'open', openedAt: Date.now(), trial: false });
+    }
+  }
+
+  // One attempt. Resolves with a Response (any HTTP status) or throws an
+  // ApiError for timeouts and network failures. A caller's own `signal`
+  // aborting is passed through untouched. Each attempt's timing is added to
+  // the current request's log line (lib/logger.js), with keys redacted.
+  async function attempt(service, url, { signal, stream, ...init }, timeoutMs, number) {
+    const timer = new AbortController();
+    const timeout = setTimeout(() => timer.abort(), timeoutMs);
+    const upstream = { service, status: null };
+    const call = { service, method: (init.method || 'GET').toUpperCase(), url: redact(url), attempt: number, status: null };
+    const start = Date.now();
+    instruments.attempt(service);
+
+    try {
+      const response = await fetch(url, { ...init, signal: signal ? AbortSignal.any([signal, timer.signal]) : timer.signal });
+      call.status = response.status;
+      if (stream) return response;
+      // Read the body inside the timeout so a stalled transfer cannot hang the caller
+      const body = await response.arrayBuffer();
+      return new Response(body, { status: response.status, statusText: response.statusText, headers: response.headers });
+    } catch (e) {
+      if (signal && signal.aborted) {
+        call.error = 'aborted';
+        throw e;
+      }
+      const failure = timer.signal.aborted
+        ? new ApiError('UPSTREAM_TIMEOUT', `${service} timed out after ${timeoutMs} ms`, { upstream })
+        : new ApiError('UPSTREAM_UNAVAILABLE', `${service} unreachable`, { upstream });
+      call.error = failure.message;
+      throw failure;
+    } finally {
+      clearTimeout(timeout);
+      call.durationMs = Date.now() - start;
+      recordUpstream(call);
+    }
+  }
+
+  // fetch() for a named service. Options are fetch's plus:
+  //   idempotent  retry failures (defaults to true for GET/HEAD)
+  //   stream      return as soon as headers arrive (caller reads the body)
+  async function request(service, url, options = {}) {
+    admit(service);
+    const stop = instruments.timer(service);
+    try {
+      const response = await send(service, url, options);
+      instruments.outcome(service, responseOutcome(response.status));
+      return response;
+    } catch (e) {
+      if (!(e instanceof ApiError)) instruments.outcome(service, 'aborted');
+      else instruments.outcome(service, e.code === 'UPSTREAM_TIMEOUT' ? 'timeout' : 'unreachable');
+      throw e;
+    } finally {
+      stop();
+    }
+  }
+
+  // The attempt loop: retries, backoff and breaker bookkeeping
+  async function send(service, url, { idempotent, ...options }) {
+    const { timeoutMs, retries } = policyFor(service);
+    const method = (options.method || 'GET').toUpperCase();
+    const attempts = 1 + ((idempotent ?? ['GET', 'HEAD'].includes(method)) ? retries : 0);
+
+    for (let i = 0; ; i++) {
+      let response;
+      try {
+        response = await attempt(service, url, options, timeoutMs, i + 1);
+      } catch (e) {
+        if (!(e instanceof ApiError)) {
+          breakerFor(service).trial = false; // Caller aborted; says nothing about the service
+          throw e;
+        }
+        if (i + 1 >= attempts) {
+          recordFailure(service, e.message);
+          throw e;
+        }
+        await sleep(backoff(i));
+        continue;
+      }
+
+      if (!RETRY_STATUSES.includes(response.status)) {
+        recordSuccess(service);
+        return response;
+      }
+      if (i + 1 >= attempts) {
+        recordFailure(service, `HTTP ${response.status}`);
+        return response;
+      }
+      await sleep(backoff(i));
+    }
+  }
+
+  // Breaker state and last outcome per service, for /api/status and logs
+  function status() {
+    const iso = time => (time ? new Date(time).toISOString() : null);
+    const out = {};
+    for (const service of Object.keys(policies)) {
+      const { state, failures, openedAt, lastSuccess, lastFailure, lastError } = breakerFor(service);
+      const { cooldownMs } = policies[service];
+      out[service] = {
+        state,
+        failures,
+        openedAt: iso(openedAt),
+        retryAt: state === 'open' ? iso(openedAt + cooldownMs) : null,
+        lastSuccess: iso(lastSuccess),
+        lastFailure: iso(lastFailure),
+        lastError
+      };
+    }
+    return out;
+  }
+
+  if (metrics) {
+    metrics.gauge('upstream_circuit_state', 'Circuit breaker state per service (1 for the current state)', () =>
+      Object.entries(status()).flatMap(([service, { state }]) =>
+        ['closed', 'half-open', 'open'].map(name => [{ service, state: name }, state === name ? 1 : 0])));
+  }
+
+  return { request, status };
+}
+
+module.exports = { createUpstreamClient, DEFAULT_POLICIES };
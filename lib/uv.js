@@ -0,0 +1,58 @@
+// ─── UV Index ────────────────────────────────────────────────────────
+// Resolves the UV index as { uvi, source, estimated }.
+//   1. The provider's measured value (OpenWeather OneCall 3.0, fixtures)
+//   2. Otherwise a clear-sky estimate from solar elevation, scaled by cloud cover
+//      from the current weather
+
+const DEG = Math.PI / 180;
+
+// Solar elevation angle in degrees (NOAA general solar position approximation)
+function solarElevation(lat, lon, date = new Date()) {
+  const startOfYear = Date.UTC(date.getUTCFullYear(), 0, 1);
+  const dayOfYear = Math.floor((date.getTime() - startOfYear) / 86400000) + 1;
+  const hours = date.getUTCHours() + date.getUTCMinutes() / 60 + date.getUTCSeconds() / 3600;
+
+  // Fractional year (radians)
+  const g = (2 * Math.PI / 365) * (dayOfYear - 1 + (hours - 12) / 24);
+
+  // Equation of time (minutes) and solar declination (radians)
+  const eqTime = 229.18 * (0.000075 + 0.001868 * Math.cos(g) - 0.032077 * Math.sin(g)
+    - 0.014615 * Math.cos(2 * g) - 0.040849 * Math.sin(2 * g));
+  const decl = 0.006918 - 0.399912 * Math.cos(g) + 0.070257 * Math.sin(g)
+    - 0.006758 * Math.cos(2 * g) + 0.000907 * Math.sin(2 * g)
+    - 0.002697 * Math.cos(3 * g) + 0.00148 * Math.sin(3 * g);
+
+  // True solar time → hour angle
+  const solarMinutes = hours * 60 + eqTime + 4 * lon;
+  const hourAngle = (solarMinutes / 4 - 180) * DEG;
+
+  const cosZenith = Math.sin(lat * DEG) * Math.sin(decl) + Math.cos(lat * DEG) * Math.cos(decl) * Math.cos(hourAngle);
+  return 90 - Math.acos(Math.min(1, Math.max(-1, cosZenith))) / DEG;
+}
+
+// Clear-sky UVI ≈ 12.5 · cos(SZA)^2.42 (typical ozone column), reduced by cloud
+// cover with the empirical modification factor 1 − 0.75 · (cloud fraction)^3.4
+function estimateUv({ lat, lon, clouds = 0, date = new Date() }) {
+  const elevation = solarElevation(Number(lat), Number(lon), date);
+  if (elevation <= 0) return 0;
+
+  const mu = Math.sin(elevation * DEG); // cos(zenith)
+  const clearSky = 12.5 * Math.pow(mu, 2.42);
+  const cloudFactor = 1 - 0.75 * Math.pow(Math.min(100, Math.max(0, clouds)) / 100, 3.4);
+  return Math.round(clearSky * cloudFactor * 10) / 10;
+}
+
+// Measured UV when the provider has it, estimated otherwise.
+// Pass `weather` (current weather for the same place) to avoid a second lookup.
+async function getUvIndex(weatherProvider, { lat, lon }, { weather } = {}) {
+  try {
+    return await weatherProvider.uvIndex({ lat, lon });
+  } catch (e) {
+    const current = weather || await weatherProvider.currentWeather({ lat, lon });
+    const clouds = current.clouds ? current.clouds.all : 0;
+    const date = current.dt ? new Date(current.dt * 1000) : new Date();
+    return { uvi: estimateUv({ lat, lon, clouds, date }), source: 'solar-estimate', estimated: true };
+  }
+}
+
+module.exports = { getUvIndex, estimateUv, solarElevation };
@@ -0,0 +1,28 @@
+// ─── Request Validation ──────────────────────────────────────────────
+// Express middleware that checks a route's query and body against the
+// schemas in lib/api-spec.js before the handler runs.
+// Invalid requests get a 400 INVALID_REQUEST error with `details` (see lib/errors.js)
+const { validate, coerce } = require('./schema');
+const { ApiError, sendError } = require('./errors');
+
+function validateRequest({ query, body }) {
+  return (req, res, next) => {
+    const errors = [];
+
+    if (query) {
+      // Handlers see typed values (e.g. numeric lat/lon), never raw strings
+      req.query = coerce(query, req.query);
+      errors.push(...validate(query, req.query));
+    }
+
+    if (body) {
+      if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) errors.push('request body must be a JSON object');
+      else errors.push(...validate(body, req.body));
+    }
+
+    if (errors.length) return sendError(res, new ApiError('INVALID_REQUEST', 'Invalid request', { details: errors }));
+    next();
+  };
+}
+
+module.exports = { validateRequest };
@@ -0,0 +1,141 @@
+// AI Streaming Module — reads Server-Sent Events from the /stream AI routes
+//
+// Server events: token { text } · reset {} · result { ...payload } · error { error }
+import { apiError, streamError } from './errors.js';
+
+// POSTs `body` to an SSE endpoint and resolves with the final `result` payload.
+// onToken(fullTextSoFar) fires as text arrives. Throws when streaming is not
+// possible so callers can fall back to the one-shot JSON route. Aborting
+// `signal` closes the stream and rejects with an AbortError.
+export async function streamAI(url, body, { headers = {}, onToken = () => {}, signal } = {}) {
+    const res = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream', ...headers },
+        body: JSON.stringify(body),
+        signal
+    });
+
+    if (!res.ok) {
+        throw apiError(res, await res.json().catch(() => null));
+    }
+    if (!res.body || !(res.headers.get('Content-Type') || '').includes('text/event-stream')) {
+        throw new Error('Streaming not supported');
+    }
+
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let text = '';
+
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+
+        // Events are separated by a blank line
+        const events = buffer.split('\n\n');
+        buffer = events.pop();
+
+        for (const raw of events) {
+            const event = parseEvent(raw);
+            if (!event) continue;
+            if (event.name === 'token') {
+                text += event.data.text;
+                onToken(text);
+            } else if (event.name === 'reset') {
+                text = '';
+            } else if (event.name === 'result') {
+                reader.cancel();
+                return event.data;
+            } else if (event.name === 'error') {
+                reader.cancel();
+                const err = streamError(event.data.error);
+                err.serverError = true;
+                throw err;
+            }
+        }
+    }
+
+    throw new Error('Stream ended without a result');
+}
+
+// True when a streaming failure is about the transport (old browser, proxy
+// buffering, dropped connection) rather than the AI request itself, i.e. when
+// retrying through the one-shot JSON route can help
+export function shouldFallback(err) {
+    return !err.status && !err.serverError && err.name !== 'AbortError';
+}
+
+// One AI request at a time for a panel. start() aborts the previous request
+// and returns { signal, isCurrent() } for the new one; check isCurrent()
+// before rendering anything, since a superseded request may still settle.
+export function createRequestSlot() {
+    let current = null;
+    return {
+        start() {
+            if (current) current.abort();
+            const controller = new AbortController();
+            current = controller;
+            return { signal: controller.signal, isCurrent: () => current === controller };
+        },
+        cancel() {
+            if (current) current.abort();
+            current = null;
+        }
+    };
+}
+
+function parseEvent(raw) {
+    let name = 'message';
+    let data = '';
+    for (const line of raw.split('\n')) {
+        if (line.startsWith('event:')) name = line.slice(6).trim();
+        else if (line.startsWith('data:')) data += line.slice(5).trim();
+    }
+    if (!data) return null; // Heartbeat comments carry no data
+    return { name, data: JSON.parse(data) };
+}
+
+// Best-effort parse of an incomplete JSON object, for progressive rendering.
+// Closes any open string/array/object; if that is still invalid, trims back to
+// the previous comma and tries again. Returns null when nothing usable exists yet.
+export function parsePartialJSON(text) {
+    const start = text.indexOf('{');
+    if (start === -1) return null;
+    let candidate = text.slice(start);
+
+    for (let tries = 0; tries < 20 && candidate; tries++) {
+        try {
+            return JSON.parse(closeJSON(candidate));
+        } catch {
+            const cut = candidate.lastIndexOf(',');
+            if (cut === -1) return null;
+            candidate = candidate.slice(0, cut);
+        }
+    }
+    return null;
+}
+
+// Appends the closing quote/brackets an unfinished JSON text is missing
+function closeJSON(text) {
+    const closers = [];
+    let inString = false;
+    let escaped = false;
+
+    for (const ch of text) {
+        if (inString) {
+            if (escaped) escaped = false;
+            else if (ch === '\\') escaped = true;
+            else if (ch === '"') inString = false;
+        } else if (ch === '"') inString = true;
+        else if (ch === '{') closers.push('}');
+        else if (ch === '[') closers.push(']');
+        else if (ch === '}' || ch === ']') closers.pop();
+    }
+
+    let closed = text;
+    if (escaped) closed = closed.slice(0, -1);
+    if (inString) closed += '"';
+    closed = closed.replace(/[,:]\s*$/, '');
+    return closed + closers.reverse().join('');
+}
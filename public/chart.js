@@ -0,0 +1,165 @@
+// ─── Forecast Chart ──────────────────────────────────────────────────
+// Hand-drawn SVG (no charting library): temperature and feels-like lines over
+// precipitation-probability bars, one point per 3-hour forecast item.
+// Hover, tap or the arrow keys move a marker; the tooltip text is also put in
+// a live region so screen readers announce it.
+import { convert, format, unitLabel } from './units.js';
+import { WEEKDAYS, localClock } from './forecast.js';
+
+const WIDTH = 800;
+const HEIGHT = 260;
+const PAD = { top: 16, right: 44, bottom: 34, left: 44 };
+const PLOT_W = WIDTH - PAD.left - PAD.right;
+const PLOT_H = HEIGHT - PAD.top - PAD.bottom;
+
+// Renders `items` (forecast.list entries) into `container`, replacing what was there
+export function renderForecastChart(container, items, tz, units) {
+    if (items.length < 2) {
+        container.innerHTML = '<div style="text-align:center; opacity:0.6;">Not enough forecast data for a chart.</div>';
+        return;
+    }
+
+    const points = items.map(item => ({
+        time: localClock(item.dt * 1000, tz),
+        temp: item.main.temp,
+        feels: item.main.feels_like ?? item.main.temp,
+        pop: item.pop || 0,
+        desc: item.weather[0].description
+    }));
+
+    // Temperature axis in display units, widened to whole steps
+    const shown = points.flatMap(p => [convert('temp', p.temp, units), convert('temp', p.feels, units)]);
+    const step = tickStep(Math.max(...shown) - Math.min(...shown));
+    const lo = Math.floor(Math.min(...shown) / step) * step;
+    const hi = Math.max(Math.ceil(Math.max(...shown) / step) * step, lo + step);
+
+    const x = i => PAD.left + (i / (points.length - 1)) * PLOT_W;
+    const y = celsius => PAD.top + (1 - (convert('temp', celsius, units) - lo) / (hi - lo)) * PLOT_H;
+    const barWidth = (PLOT_W / points.length) * 0.6;
+    const line = key => points.map((p, i) => `${i ? 'L' : 'M'}${x(i).toFixed(1)},${y(p[key]).toFixed(1)}`).join(' ');
+
+    const grid = [];
+    for (let t = lo; t <= hi; t += step) {
+        const ty = PAD.top + (1 - (t - lo) / (hi - lo)) * PLOT_H;
+        grid.push(`<line class="chart-grid" x1="${PAD.left}" x2="${WIDTH - PAD.right}" y1="${ty}" y2="${ty}"/>`);
+        grid.push(`<text class="chart-axis" x="${PAD.left - 8}" y="${ty + 4}" text-anchor="end">${t}°</text>`);
+    }
+    [0, 50, 100].forEach(pct => {
+        const py = PAD.top + (1 - pct / 100) * PLOT_H;
+        grid.push(`<text class="chart-axis chart-axis-pop" x="${WIDTH - PAD.right + 8}" y="${py + 4}">${pct}%</text>`);
+    });
+
+    // A separator and weekday label at each local midnight; the first day is
+    // labelled at the left edge when there is room before its midnight
+    const days = [];
+    const dayText = (at, time) => `<text class="chart-axis" x="${(at + 4).toFixed(1)}" y="${HEIGHT - PAD.bottom + 18}">${WEEKDAYS[time.getUTCDay()]} ${time.getUTCDate()}</text>`;
+    let firstMidnight = Infinity;
+    points.forEach((p, i) => {
+        if (i === 0 || p.time.getUTCDate() === points[i - 1].time.getUTCDate()) return;
+        const sinceMidnight = p.time.getUTCHours() + p.time.getUTCMinutes() / 60; // Under 3 h; offsets like +05:30 land between items
+        const dx = x(i) - (x(i) - x(i - 1)) * (sinceMidnight / 3);
+        firstMidnight = Math.min(firstMidnight, dx);
+        days.push(`<line class="chart-day" x1="${dx.toFixed(1)}" x2="${dx.toFixed(1)}" y1="${PAD.top}" y2="${HEIGHT - PAD.bottom}"/>`);
+        days.push(dayText(dx, p.time));
+    });
+    if (firstMidnight - PAD.left > 60) days.push(dayText(PAD.left, points[0].time));
+
+    const bars = points.map((p, i) => {
+        const height = p.pop * PLOT_H;
+        return `<rect class="chart-pop" x="${(x(i) - barWidth / 2).toFixed(1)}" y="${(PAD.top + PLOT_H - height).toFixed(1)}" width="${barWidth.toFixed(1)}" height="${height.toFixed(1)}"/>`;
+    }).join('');
+
+    container.innerHTML = `
+        <div class="chart-legend" aria-hidden="true">
+            <span class="legend-temp">Temperature</span>
+            <span class="legend-feels">Feels like</span>
+            <span class="legend-pop">Rain chance</span>
+        </div>
+        <div class="chart-frame">
+            <svg class="chart-svg" viewBox="0 0 ${WIDTH} ${HEIGHT}" tabindex="0" role="img" aria-label="Temperature, feels-like and rain chance for the next ${Math.round(points.length / 8)} days in ${unitLabel('temp', units)}. Use the left and right arrow keys to step through the hours.">
+                ${grid.join('')}
+                ${bars}
+                ${days.join('')}
+                <path class="chart-line chart-feels" d="${line('feels')}"/>
+                <path class="chart-line chart-temp" d="${line('temp')}"/>
+                <g class="chart-marker hidden">
+                    <line class="chart-cursor" y1="${PAD.top}" y2="${HEIGHT - PAD.bottom}"/>
+                    <circle class="chart-dot chart-feels-dot" r="4"/>
+                    <circle class="chart-dot chart-temp-dot" r="5"/>
+                </g>
+            </svg>
+            <div class="chart-tooltip hidden" aria-hidden="true"></div>
+        </div>
+        <div class="sr-only" aria-live="polite"></div>
+    `;
+
+    const svg = container.querySelector('.chart-svg');
+    const marker = svg.querySelector('.chart-marker');
+    const tooltip = container.querySelector('.chart-tooltip');
+    const live = container.querySelector('[aria-live]');
+    let active = null;
+
+    const show = (i) => {
+        active = Math.max(0, Math.min(points.length - 1, i));
+        const p = points[active];
+        const px = x(active);
+        marker.querySelector('.chart-cursor').setAttribute('x1', px);
+        marker.querySelector('.chart-cursor').setAttribute('x2', px);
+        marker.querySelector('.chart-temp-dot').setAttribute('cx', px);
+        marker.querySelector('.chart-temp-dot').setAttribute('cy', y(p.temp));
+        marker.querySelector('.chart-feels-dot').setAttribute('cx', px);
+        marker.querySelector('.chart-feels-dot').setAttribute('cy', y(p.feels));
+        marker.classList.remove('hidden');
+
+        const when = `${WEEKDAYS[p.time.getUTCDay()]} ${p.time.toISOString().slice(11, 16)}`;
+        // Built as text: the description comes from the weather provider
+        tooltip.replaceChildren(
+            textElement('strong', when),
+            textElement('span', `${format('temp', p.temp, units)} · feels ${format('temp', p.feels, units)}`),
+            textElement('span', `💧 ${Math.round(p.pop * 100)}% · ${p.desc}`)
+        );
+        tooltip.style.left = `${(px / WIDTH) * 100}%`;
+        tooltip.classList.toggle('flip', px > WIDTH * 0.75); // Keep it inside the frame near the right edge
+        tooltip.classList.remove('hidden');
+        live.textContent = `${when}: ${format('temp', p.temp, units)}, feels like ${format('temp', p.feels, units)}, ${Math.round(p.pop * 100)}% chance of rain, ${p.desc}.`;
+    };
+
+    const hide = () => {
+        active = null;
+        marker.classList.add('hidden');
+        tooltip.classList.add('hidden');
+    };
+
+    // Nearest point to a pointer position, in viewBox coordinates
+    const indexAt = (clientX) => {
+        const rect = svg.getBoundingClientRect();
+        const vx = ((clientX - rect.left) / (rect.width || 1)) * WIDTH;
+        return Math.round(((vx - PAD.left) / PLOT_W) * (points.length - 1));
+    };
+
+    svg.addEventListener('pointermove', (e) => show(indexAt(e.clientX)));
+    svg.addEventListener('pointerdown', (e) => show(indexAt(e.clientX))); // Tap on touch screens
+    svg.addEventListener('pointerleave', () => { if (document.activeElement !== svg) hide(); });
+    svg.addEventListener('focus', () => show(active ?? 0));
+    svg.addEventListener('blur', hide);
+    svg.addEventListener('keydown', (e) => {
+        const current = active ?? 0;
+        const targets = { ArrowLeft: current - 1, ArrowRight: current + 1, Home: 0, End: points.length - 1 };
+        if (e.key === 'Escape') return hide();
+        if (!(e.key in targets)) return;
+        e.preventDefault();
+        show(targets[e.key]);
+    });
+}
+
+// Gridline spacing giving roughly four to six lines
+function tickStep(range) {
+    return [2, 5, 10, 20].find(step => range / step <= 5) || 50;
+}
+
+// An element holding plain text
+function textElement(tag, text) {
+    const el = document.createElement(tag);
+    el.textContent = text;
+    return el;
+}
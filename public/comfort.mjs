@@ -0,0 +1,137 @@
+// ─── Comfort Score ───────────────────────────────────────────────────
+// One 0–10 score shared by the main page, the compare page and the server's
+// template verdict (lib/ai/template.js imports this file, hence the .mjs
+// extension and no imports of its own). Every factor adds or takes away points
+// from a neutral 5, and the breakdown is returned with the score so the pages
+// can show why a city scored what it did.
+// Inputs are metric (°C, m/s, metres); UV, AQI and visibility are optional
+// and simply left out of the breakdown when unknown. The reader's comfort
+// profile (profile.js) moves the thresholds; the default profile gives the
+// rules as written below.
+
+const BASE = 5;
+const AQI_LABELS = { 1: 'Good', 2: 'Fair', 3: 'Moderate', 4: 'Poor', 5: 'Very Poor' };
+
+// 'hot' above 35 °C, 'cold' below 0 °C, otherwise null, with both limits moved
+// by the reader's profileShifts(). The score's "Very hot" and "Freezing" and the
+// template provider's stay-in advice and alerts all start here, so they agree
+// on what counts as extreme.
+export function temperatureExtreme(t, shift = { heat: 0, cold: 0 }) {
+    if (t > 35 + shift.heat) return 'hot';
+    if (t < 0 + shift.cold) return 'cold';
+    return null;
+}
+
+// Each rule turns its input into [points, reason]; rules whose input is missing
+// are skipped. `profile` is the reader's range and `shift` their profileShifts().
+const FACTORS = [
+    {
+        id: 'temp', label: 'Temperature', input: 'temp',
+        rate: (t, inputs, { profile, shift }) => {
+            const extreme = temperatureExtreme(t, shift);
+            if (extreme === 'hot') return [-3, 'Very hot'];
+            if (extreme === 'cold') return [-3, 'Freezing'];
+            if (t >= profile.tempMin && t <= profile.tempMax) return [3, 'Ideal range'];
+            if (t >= 10 + shift.cold && t < profile.tempMin) return [1, 'Mild'];
+            if (t > profile.tempMax && t <= 32 + shift.heat) return [1, 'Warm'];
+            return [0, t > profile.tempMax ? 'Hot' : 'Cold'];
+        }
+    },
+    {
+        id: 'feelsLike', label: 'Feels like', input: 'feelsLike',
+        rate: (feels, { temp }, { profile, shift }) => {
+            const diff = feels - temp;
+            const noticed = setting => (profile[setting] === 'high' ? 2 : 3); // Gap a reader notices
+            const extreme = temperatureExtreme(feels, shift);
+            if (diff >= 2 && extreme === 'hot') return [-2, 'Oppressive heat'];
+            if (diff <= -2 && extreme === 'cold') return [-2, 'Biting wind chill'];
+            if (diff >= noticed('heat')) return [-1, 'Feels hotter'];
+            if (diff <= -noticed('cold')) return [-1, 'Feels colder'];
+            return [0, 'Matches the air'];
+        }
+    },
+    {
+        id: 'humidity', label: 'Humidity', input: 'humidity',
+        rate: (h, inputs, { shift }) => {
+            if (h >= 30 && h <= 60 + shift.humidity) return [2, 'Comfortable'];
+            if (h > 80 + shift.humidity) return [-1, 'Muggy'];
+            return [0, h < 30 ? 'Dry' : 'Humid'];
+        }
+    },
+    {
+        id: 'wind', label: 'Wind', input: 'wind',
+        rate: (w, inputs, { shift }) => {
+            if (w >= 14 + shift.wind) return [-2, 'Strong wind'];
+            if (w >= 8 + shift.wind) return [-1, 'Breezy'];
+            return [0, w >= 3 ? 'Light breeze' : 'Calm'];
+        }
+    },
+    {
+        id: 'condition', label: 'Sky', input: 'condition',
+        rate: main => {
+            if (/thunder/i.test(main)) return [-3, 'Thunderstorms'];
+            if (/snow/i.test(main)) return [-2, 'Snowy'];
+            if (/rain/i.test(main)) return [-2, 'Wet'];
+            if (/drizzle/i.test(main)) return [-1, 'Light rain'];
+            return [0, 'Dry'];
+        }
+    },
+    {
+        id: 'uvi', label: 'UV', input: 'uvi',
+        rate: uvi => {
+            if (uvi >= 8) return [-2, 'Very high'];
+            if (uvi >= 6) return [-1, 'High'];
+            return [0, uvi >= 3 ? 'Moderate' : 'Low'];
+        }
+    },
+    {
+        id: 'aqi', label: 'Air quality', input: 'aqi',
+        rate: (aqi, inputs, { shift }) => [-Math.max(0, aqi - 2 - shift.aqi), AQI_LABELS[aqi] || 'Unknown']
+    },
+    {
+        id: 'visibility', label: 'Visibility', input: 'visibility',
+        rate: v => {
+            if (v < 1000) return [-2, 'Fog'];
+            if (v < 4000) return [-1, 'Hazy'];
+            return [0, 'Clear'];
+        }
+    }
+];
+
+// Score inputs from an OpenWeather current-weather payload plus the optional
+// AQI index (1–5) and UV index the page fetched separately
+export function comfortInputs(data, { aqi = null, uvi = null } = {}) {
+    return {
+        temp: data.main.temp,
+        feelsLike: data.main.feels_like,
+        humidity: data.main.humidity,
+        wind: data.wind && data.wind.speed,
+        condition: data.weather[0].main,
+        uvi,
+        aqi,
+        visibility: data.visibility
+    };
+}
+
+// { score, base, factors: [{ id, label, value, points, reason }] }; the score
+// is base plus every factor's points, clamped to 0–10. `reader` is
+// { profile, shift }: a normalized comfort profile and its profileShifts(),
+// worked out by the caller since this module imports nothing.
+export function comfortScore(inputs, reader) {
+    const factors = [];
+    FACTORS.forEach(({ id, label, input, rate }) => {
+        const value = inputs[input];
+        if (value === null || value === undefined || Number.isNaN(value)) return;
+        const [points, reason] = rate(value, inputs, reader);
+        factors.push({ id, label, value, points, reason });
+    });
+
+    const total = factors.reduce((sum, f) => sum + f.points, BASE);
+    return { score: Math.min(10, Math.max(0, total)), base: BASE, factors };
+}
+
+// "+3", "−1", "0"
+export function formatPoints(points) {
+    if (points > 0) return `+${points}`;
+    return points < 0 ? `−${-points}` : '0';
+}
@@ -0,0 +1,380 @@
+import { trackCompare, getAuthHeaders } from './firebase.js';
+import { streamAI, parsePartialJSON, shouldFallback, createRequestSlot } from './ai-stream.js';
+import { fetchJSON, friendlyMessage, bindRetry } from './errors.js';
+import { loadUnits, unitSystem, format, renderUnitToggle } from './units.js';
+import { comfortInputs, comfortScore, formatPoints } from './comfort.mjs';
+import { loadProfile, profileShifts } from './profile.js';
+
+// ─── DOM Elements ──────────────────────────────────────
+const cityAInput = document.getElementById('cityA');
+const cityBInput = document.getElementById('cityB');
+const compareBtn = document.getElementById('compareBtn');
+const compareResults = document.getElementById('compareResults');
+const compareError = document.getElementById('compareError');
+const cardA = document.getElementById('cardA');
+const cardB = document.getElementById('cardB');
+const statsComparison = document.getElementById('statsComparison');
+const verdictContent = document.getElementById('verdictContent');
+
+// ─── State ─────────────────────────────────────────────
+const units = loadUnits(); // Display units, shared with the main page (see units.js)
+let shown = null;          // Last comparison { weatherA, weatherB, aqiValA, aqiValB }, for unit changes
+const verdictSlot = createRequestSlot(); // A newer verdict (or comparison) aborts the one in flight
+
+// ─── Event Listeners ───────────────────────────────────
+compareBtn.addEventListener('click', runComparison);
+
+cityAInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') cityBInput.focus();
+});
+cityBInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') runComparison();
+});
+
+renderUnitToggle(document.getElementById('unitToggle'), units, applyUnits);
+
+// Redraws the cards and bars in the new units; the verdict is written in the
+// server's unit system, so it is only requested again when °C ↔ °F changed
+function applyUnits(next, previous) {
+    if (!shown) return;
+    const { weatherA, weatherB, aqiValA, aqiValB } = shown;
+    renderWeatherCard(cardA, weatherA, aqiValA);
+    renderWeatherCard(cardB, weatherB, aqiValB);
+    renderStatsComparison(weatherA, weatherB, aqiValA, aqiValB);
+    if (unitSystem(next) !== unitSystem(previous)) fetchVerdict(weatherA, weatherB, aqiValA, aqiValB);
+}
+
+// ─── Main Comparison Flow ──────────────────────────────
+async function runComparison() {
+    const cityA = cityAInput.value.trim();
+    const cityB = cityBInput.value.trim();
+
+    if (!cityA || !cityB) {
+        showError('Please enter both city names.');
+        return;
+    }
+
+    hideError();
+    verdictSlot.cancel();
+    compareResults.classList.add('hidden');
+    compareBtn.disabled = true;
+    compareBtn.querySelector('span').textContent = 'Analyzing...';
+
+    try {
+        trackCompare(cityA, cityB);
+
+        // Fetch weather for both cities in parallel
+        const [weatherA, weatherB] = await Promise.all([
+            fetchWeather(cityA),
+            fetchWeather(cityB)
+        ]);
+
+        // Fetch AQI for both cities
+        const [aqiA, aqiB] = await Promise.all([
+            fetchAQI(weatherA.coord.lat, weatherA.coord.lon),
+            fetchAQI(weatherB.coord.lat, weatherB.coord.lon)
+        ]);
+
+        const aqiValA = (aqiA && aqiA.list) ? aqiA.list[0].main.aqi : 0;
+        const aqiValB = (aqiB && aqiB.list) ? aqiB.list[0].main.aqi : 0;
+
+        shown = { weatherA, weatherB, aqiValA, aqiValB };
+
+        // Render weather cards
+        renderWeatherCard(cardA, weatherA, aqiValA);
+        renderWeatherCard(cardB, weatherB, aqiValB);
+
+        // Render stats comparison
+        renderStatsComparison(weatherA, weatherB, aqiValA, aqiValB);
+
+        // Show results
+        compareResults.classList.remove('hidden');
+
+        // Fetch AI verdict
+        fetchVerdict(weatherA, weatherB, aqiValA, aqiValB);
+
+    } catch (e) {
+        showError(e, runComparison);
+    } finally {
+        compareBtn.disabled = false;
+        compareBtn.querySelector('span').textContent = 'Compare Now';
+    }
+}
+
+// ─── API Calls ─────────────────────────────────────────
+async function fetchWeather(city) {
+    try {
+        return await fetchJSON(`/api/weather?city=${encodeURIComponent(city)}`);
+    } catch (e) {
+        e.city = city; // Names the city in "not found" messages
+        throw e;
+    }
+}
+
+async function fetchAQI(lat, lon) {
+    try {
+        const res = await fetch(`/api/aqi?lat=${lat}&lon=${lon}`);
+        return res.json();
+    } catch { return null; }
+}
+
+// ─── Render Weather Card ───────────────────────────────
+function renderWeatherCard(container, data, aqiVal) {
+    const iconUrl = `https://openweathermap.org/img/wn/${data.weather[0].icon}@2x.png`;
+    const aqiMap = { 1: 'Good', 2: 'Fair', 3: 'Moderate', 4: 'Poor', 5: 'Very Poor' };
+    const aqiColor = { 1: '#03dac6', 2: '#81c784', 3: '#ffeb3b', 4: '#ff9800', 5: '#cf6679' };
+    const score = comfortFor(data, aqiVal).score;
+
+    container.innerHTML = `
+        <div class="card-glass compare-city-card">
+            <div class="compare-city-header">
+                <h3>${data.name}, ${data.sys.country}</h3>
+                <div class="compare-score" style="color: ${score >= 7 ? '#03dac6' : score >= 4 ? '#ffeb3b' : '#cf6679'}">
+                    ${score.toFixed(1)}<span>/10</span>
+                </div>
+            </div>
+
+            <div class="compare-weather-main">
+                <img src="${iconUrl}" alt="${data.weather[0].description}" class="compare-icon" />
+                <div class="compare-temp">${format('temp', data.main.temp, units)}</div>
+                <div class="compare-desc">${capitalize(data.weather[0].description)}</div>
+            </div>
+
+            <div class="compare-details-grid">
+                <div class="compare-detail">
+                    <span class="detail-label">Feels Like</span>
+                    <span class="detail-value">${format('temp', data.main.feels_like, units)}</span>
+                </div>
+                <div class="compare-detail">
+                    <span class="detail-label">Humidity</span>
+                    <span class="detail-value">${data.main.humidity}%</span>
+                </div>
+                <div class="compare-detail">
+                    <span class="detail-label">Wind</span>
+                    <span class="detail-value">${format('wind', data.wind.speed, units)}</span>
+                </div>
+                <div class="compare-detail">
+                    <span class="detail-label">Pressure</span>
+                    <span class="detail-value">${format('pressure', data.main.pressure, units)}</span>
+                </div>
+                <div class="compare-detail">
+                    <span class="detail-label">Visibility</span>
+                    <span class="detail-value">${format('distance', data.visibility / 1000, units)}</span>
+                </div>
+                <div class="compare-detail">
+                    <span class="detail-label">Air Quality</span>
+                    <span class="detail-value" style="color: ${aqiColor[aqiVal] || 'inherit'}">${aqiMap[aqiVal] || 'N/A'}</span>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+// ─── Stats Comparison Bars ─────────────────────────────
+// Bar lengths come from the metric values, so they look the same in any units
+function renderStatsComparison(a, b, aqiA, aqiB) {
+    const plain = unit => v => `${v % 1 ? v.toFixed(1) : v}${unit}`;
+    const comfortA = comfortFor(a, aqiA);
+    const comfortB = comfortFor(b, aqiB);
+    const metrics = [
+        { label: 'Temperature', valA: a.main.temp, valB: b.main.temp, show: v => format('temp', v, units), max: 50 },
+        { label: 'Humidity', valA: a.main.humidity, valB: b.main.humidity, show: plain('%'), max: 100 },
+        { label: 'Wind Speed', valA: a.wind.speed, valB: b.wind.speed, show: v => format('wind', v, units), max: 30 },
+        { label: 'Pressure', valA: a.main.pressure, valB: b.main.pressure, show: v => format('pressure', v, units), max: 1100 },
+        { label: 'Comfort Score', valA: comfortA.score, valB: comfortB.score, show: plain('/10'), max: 10 },
+    ];
+
+    statsComparison.innerHTML = `
+        <div class="card-glass stats-card">
+            <span class="section-label">Side-by-Side Metrics</span>
+            <div class="stats-bars">
+                ${metrics.map(m => {
+        const pctA = Math.min(100, Math.max(5, (Math.abs(m.valA) / m.max) * 100));
+        const pctB = Math.min(100, Math.max(5, (Math.abs(m.valB) / m.max) * 100));
+        const better = m.label === 'Comfort Score' ?
+            (m.valA > m.valB ? 'A' : m.valB > m.valA ? 'B' : 'tie') : 'tie';
+        return `
+                        <div class="stat-row">
+                            <div class="stat-label">${m.label}</div>
+                            <div class="stat-bars-container">
+                                <div class="stat-bar-wrapper">
+                                    <div class="stat-bar stat-bar-a ${better === 'A' ? 'winner' : ''}" style="width:${pctA}%"></div>
+                                    <span class="stat-value">${m.show(m.valA)}</span>
+                                </div>
+                                <div class="stat-bar-wrapper reverse">
+                                    <div class="stat-bar stat-bar-b ${better === 'B' ? 'winner' : ''}" style="width:${pctB}%"></div>
+                                    <span class="stat-value">${m.show(m.valB)}</span>
+                                </div>
+                            </div>
+                        </div>
+                    `;
+    }).join('')}
+            </div>
+            ${renderComfortBreakdown(comfortA, comfortB)}
+            <div class="stats-legend">
+                <span class="legend-a">${a.name}</span>
+                <span class="legend-b">${b.name}</span>
+            </div>
+        </div>
+    `;
+}
+
+// What each factor added to or took from each city's comfort score, under the bars.
+// Factors only one city has (AQI when a lookup failed) show a dash for the other.
+function renderComfortBreakdown(comfortA, comfortB) {
+    const labels = new Map([...comfortA.factors, ...comfortB.factors].map(f => [f.id, f.label]));
+    const cell = (comfort, id) => {
+        const factor = comfort.factors.find(f => f.id === id);
+        if (!factor) return '<span class="factor-points">–</span>';
+        const sign = factor.points > 0 ? 'positive' : factor.points < 0 ? 'negative' : '';
+        return `<span class="factor-points ${sign}" title="${escapeHTML(factor.reason)}">${formatPoints(factor.points)} <span class="factor-value">${escapeHTML(factor.reason)}</span></span>`;
+    };
+
+    return `
+        <div class="comfort-breakdown">
+            <div class="stat-label">Why the comfort scores differ</div>
+            <ul class="comfort-factors">
+                ${[...labels].map(([id, label]) => `
+                    <li>
+                        ${cell(comfortA, id)}
+                        <span class="factor-label">${label}</span>
+                        ${cell(comfortB, id)}
+                    </li>
+                `).join('')}
+            </ul>
+        </div>
+    `;
+}
+
+// ─── AI Verdict ────────────────────────────────────────
+async function fetchVerdict(weatherA, weatherB, aqiA, aqiB) {
+    const request = verdictSlot.start();
+    verdictContent.innerHTML = `
+        <div class="advisor-loading">
+            <div class="pulse-dot"></div>
+            <span>AI is analyzing both cities...</span>
+        </div>
+    `;
+
+    const body = {
+        cityA: {
+            name: weatherA.name,
+            temp: weatherA.main.temp,
+            feelsLike: weatherA.main.feels_like,
+            humidity: weatherA.main.humidity,
+            wind: weatherA.wind.speed,
+            condition: weatherA.weather[0].description,
+            aqi: aqiA,
+            visibility: weatherA.visibility
+        },
+        cityB: {
+            name: weatherB.name,
+            temp: weatherB.main.temp,
+            feelsLike: weatherB.main.feels_like,
+            humidity: weatherB.main.humidity,
+            wind: weatherB.wind.speed,
+            condition: weatherB.weather[0].description,
+            aqi: aqiB,
+            visibility: weatherB.visibility
+        },
+        units: unitSystem(units), // Values stay metric; this sets the verdict's units
+        profile: loadProfile() // Scores the cities as the cards above do
+    };
+
+    try {
+        let verdict;
+        try {
+            // Stream first so the comparison text appears while the model writes it
+            const result = await streamAI('/api/compare-verdict/stream', body, {
+                headers: await getAuthHeaders(),
+                signal: request.signal,
+                onToken: text => {
+                    if (!request.isCurrent()) return;
+                    const partial = parsePartialJSON(text);
+                    if (partial && partial.comparison) renderVerdict(partial);
+                }
+            });
+            verdict = result.verdict;
+        } catch (e) {
+            if (!shouldFallback(e)) throw e;
+            verdict = await requestVerdict(body, request.signal); // One-shot JSON path
+        }
+        if (request.isCurrent()) renderVerdict(verdict);
+    } catch (e) {
+        if (!request.isCurrent()) return; // Superseded; the newer request owns the panel
+        console.error('Verdict error:', e);
+        if (e.retryable) {
+            verdictContent.innerHTML = `
+                <div class="card-glass" style="text-align:center; opacity:0.7; padding:2rem;">
+                    <p style="margin-bottom: 1.2rem;">${escapeHTML(friendlyMessage(e, { subject: 'the AI verdict' }))}</p>
+                    <button id="retryVerdictBtn" class="secondary-btn" style="margin: 0 auto;">🔄 Retry</button>
+                </div>
+            `;
+            bindRetry(document.getElementById('retryVerdictBtn'), e, () => fetchVerdict(weatherA, weatherB, aqiA, aqiB));
+            return;
+        }
+        verdictContent.innerHTML = `
+            <div class="card-glass" style="text-align:center; opacity:0.7; padding:2rem;">
+                <p>AI verdict is temporarily unavailable. Compare the metrics above to make your decision.</p>
+            </div>
+        `;
+    }
+}
+
+async function requestVerdict(body, signal) {
+    const result = await fetchJSON('/api/compare-verdict', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(await getAuthHeaders()) },
+        body: JSON.stringify(body),
+        signal
+    });
+    return result.verdict;
+}
+
+// verdict: { comparison, winner, reason } — winner is always one of the two city names
+function renderVerdict(verdict) {
+    const { comparison, winner, reason } = verdict;
+
+    verdictContent.innerHTML = `
+        <div class="verdict-card card-glass">
+            <div class="verdict-comparison">
+                <p>${escapeHTML(comparison || '')}</p>
+            </div>
+
+            <div class="verdict-winner-section">
+                <div class="trophy-icon">🏆</div>
+                <div class="winner-name">${escapeHTML(winner || '…')}</div>
+                <div class="winner-reason">${escapeHTML(reason || '')}</div>
+            </div>
+        </div>
+    `;
+}
+
+// ─── Utilities ─────────────────────────────────────────
+// Comfort breakdown for a city under the reader's saved profile; an AQI of 0 means the lookup failed
+function comfortFor(data, aqiVal) {
+    const profile = loadProfile();
+    return comfortScore(comfortInputs(data, { aqi: aqiVal || null }), { profile, shift: profileShifts(profile) });
+}
+
+function capitalize(s) { return s.charAt(0).toUpperCase() + s.slice(1); }
+
+// Escapes text for safe interpolation into HTML markup
+function escapeHTML(s) {
+    return String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+// Shows a plain message, or an API error in friendly wording with a retry button when retrying can help
+function showError(error, onRetry) {
+    let msg = typeof error === 'string' ? error : friendlyMessage(error, { subject: 'the comparison' });
+    if (error.code === 'CITY_NOT_FOUND' && error.city) msg = `We couldn't find "${error.city}". Check the spelling and try again.`;
+    const canRetry = onRetry && typeof error !== 'string' && error.retryable;
+
+    compareError.innerHTML = `${escapeHTML(msg)}${canRetry ? ' <button id="retryCompareBtn" class="secondary-btn">🔄 Retry</button>' : ''}`;
+    if (canRetry) bindRetry(document.getElementById('retryCompareBtn'), error, onRetry);
+    compareError.classList.remove('hidden');
+}
+
+function hideError() {
+    compareError.classList.add('hidden');
+}
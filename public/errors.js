@@ -0,0 +1,120 @@
+// Error Handling Module — shared by the main and compare pages
+//
+// The server answers every failure with
+//   { error: { code, message, retryable, upstream, details?, retryAfter? } }
+// These helpers turn that into an Error carrying the same fields, and map
+// codes to friendly, actionable wording for the UI.
+
+const SERVICE_NAMES = {
+    openweather: 'weather service',
+    fixture: 'weather service',
+    overpass: 'places service',
+    gemini: 'AI service',
+    openai: 'AI service'
+};
+
+// Builds an Error from a failed Response and its parsed body (null if not JSON)
+export function apiError(res, body) {
+    const info = (body && typeof body.error === 'object' && body.error) || {};
+    const err = new Error(info.message || `Request failed (${res.status})`);
+    err.status = res.status;
+    err.code = info.code || (res.status === 429 ? 'RATE_LIMITED' : res.status >= 500 ? 'INTERNAL' : 'INVALID_REQUEST');
+    err.retryable = info.retryable ?? res.status >= 500;
+    err.upstream = info.upstream || null;
+    if (err.code === 'RATE_LIMITED') {
+        err.retryAfter = Number(res.headers.get('Retry-After')) || info.retryAfter || 30;
+    }
+    return err;
+}
+
+// Builds an Error from an error object delivered inside a stream (SSE `error` event)
+export function streamError(info = {}) {
+    const err = new Error(info.message || 'AI stream error');
+    err.code = info.code || 'INTERNAL';
+    err.retryable = Boolean(info.retryable);
+    err.upstream = info.upstream || null;
+    if (err.code === 'RATE_LIMITED') err.retryAfter = info.retryAfter || 30;
+    return err;
+}
+
+// fetch() + JSON parsing that throws an apiError for non-2xx responses and a
+// retryable NETWORK error when the request never reached the server
+export async function fetchJSON(url, options) {
+    let res;
+    try {
+        res = await fetch(url, options);
+    } catch (e) {
+        if (e.name === 'AbortError') throw e; // Cancelled by the caller, not a network failure
+        const err = new Error('Network request failed');
+        err.code = 'NETWORK';
+        err.retryable = true;
+        throw err;
+    }
+
+    const body = await res.json().catch(() => null);
+    if (!res.ok) throw apiError(res, body);
+    return body;
+}
+
+// Friendly, actionable wording for an error. `subject` names what failed to load.
+export function friendlyMessage(err, { subject = 'this' } = {}) {
+    const service = (err.upstream && SERVICE_NAMES[err.upstream.service]) || 'service';
+
+    switch (err.code) {
+        case 'CITY_NOT_FOUND':
+            return "We couldn't find that city. Check the spelling or try a nearby larger city.";
+        case 'INVALID_REQUEST':
+            return `We couldn't load ${subject} because the request was incomplete. Try searching again.`;
+        case 'RATE_LIMITED':
+            return `You're going a little fast. You can try again in ${formatWait(err.retryAfter || 30)}.`;
+        case 'UPSTREAM_RATE_LIMITED':
+            return `The ${service} is busy right now. Please try again in a minute.`;
+        case 'UPSTREAM_TIMEOUT':
+            return `The ${service} took too long to answer. Please try again.`;
+        case 'UPSTREAM_UNAVAILABLE':
+            return `The ${service} isn't responding right now. Please try again shortly.`;
+        case 'AI_INVALID_OUTPUT':
+            return 'The AI returned an incomplete answer. Please try again.';
+        case 'NOT_CONFIGURED':
+            return `${capitalize(subject)} isn't available on this server.`;
+        case 'NETWORK':
+            return 'You appear to be offline. Check your connection and try again.';
+        default:
+            return `Something went wrong while loading ${subject}. Please try again.`;
+    }
+}
+
+export function formatWait(seconds) {
+    return seconds >= 60 ? `${Math.ceil(seconds / 60)} min` : `${seconds}s`;
+}
+
+// Wires a retry button: calls `onRetry` on click and, for rate limits,
+// keeps it disabled with a countdown until the wait is over
+export function bindRetry(button, err, onRetry) {
+    button.addEventListener('click', onRetry);
+    if (err.retryAfter) startRetryCountdown(button, err.retryAfter);
+}
+
+// Disables a retry button and counts down until the wait is over
+export function startRetryCountdown(button, seconds) {
+    const label = button.innerHTML;
+    let remaining = seconds;
+    button.disabled = true;
+    button.textContent = `Retry in ${formatWait(remaining)}`;
+
+    const timer = setInterval(() => {
+        remaining--;
+        if (!button.isConnected) return clearInterval(timer);
+        if (remaining <= 0) {
+            clearInterval(timer);
+            button.disabled = false;
+            button.innerHTML = label;
+            return;
+        }
+        button.textContent = `Retry in ${formatWait(remaining)}`;
+    }, 1000);
+}
+
+function capitalize(s) {
+    return s.charAt(0).toUpperCase() + s.slice(1);
+}
@@ -8,10 +8,12 @@ import {
     signOut as firebaseSignOut,
     onAuthStateChanged
 } from 'https://www.gstatic.com/firebasejs/11.4.0/firebase-auth.js';
+import { getFirestore, doc, getDoc, setDoc } from 'https://www.gstatic.com/firebasejs/11.4.0/firebase-firestore.js';
 
 let app = null;
 let analytics = null;
 let auth = null;
+let db = null;
 const provider = new GoogleAuthProvider();
 
 // Initialize Firebase
@@ -28,6 +30,7 @@ export async function initFirebase() {
         app = initializeApp(config);
         analytics = getAnalytics(app);
         auth = getAuth(app);
+        db = getFirestore(app);
 
         console.log('Firebase initialized');
         return true;
@@ -71,6 +74,43 @@ export function onAuthChanged(callback) {
     onAuthStateChanged(auth, callback);
 }
 
+// Auth header for API calls — lets the server rate-limit per account instead of per IP
+export async function getAuthHeaders() {
+    if (!auth || !auth.currentUser) return {};
+    try {
+        const token = await auth.currentUser.getIdToken();
+        return { Authorization: `Bearer ${token}` };
+    } catch (error) {
+        console.error('ID token error:', error);
+        return {};
+    }
+}
+
+// Comfort profile on the signed-in account: users/{uid}.comfortProfile.
+// Both return null when signed out or when Firestore is unavailable, so the
+// page carries on with the copy in localStorage.
+export async function loadUserProfile() {
+    if (!db || !auth || !auth.currentUser) return null;
+    try {
+        const snapshot = await getDoc(doc(db, 'users', auth.currentUser.uid));
+        return snapshot.exists() ? snapshot.data().comfortProfile || null : null;
+    } catch (error) {
+        console.error('Profile load error:', error);
+        return null;
+    }
+}
+
+export async function saveUserProfile(profile) {
+    if (!db || !auth || !auth.currentUser) return null;
+    try {
+        await setDoc(doc(db, 'users', auth.currentUser.uid), { comfortProfile: profile }, { merge: true });
+        return profile;
+    } catch (error) {
+        console.error('Profile save error:', error);
+        return null;
+    }
+}
+
 // Analytics Helpers
 export function trackEvent(eventName, params = {}) {
     if (!analytics) return;
@@ -0,0 +1,88 @@
+// ─── Forecast Days ───────────────────────────────────────────────────
+// Forecast items are 3-hourly UTC timestamps; they are read on the city's clock
+// (forecast.city.timezone, seconds east of UTC), never the browser's.
+// Days are the city's calendar dates, midnight to midnight, so the planner,
+// the outlook and the chart's midnight lines all agree on what "Wed 21" is.
+// Planner slots that run past midnight reach into the next date themselves
+// (see hourOfDay).
+
+export const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Wall-clock time in the city: read it with UTC getters
+export function localClock(ms, tz) {
+    return new Date(ms + tz * 1000);
+}
+
+// Hours from the city's midnight starting day `key` to `ms`; 24–30 are the
+// small hours of the following date
+export function hourOfDay(ms, key, tz) {
+    return (localClock(ms, tz).getTime() - Date.parse(key)) / 3600000;
+}
+
+// Groups forecast items by day: [{ key: 'YYYY-MM-DD', label, items }].
+// Items whose 3 hours are already over (e.g. from a cached forecast) are left out.
+export function forecastDays(forecast, now = Date.now()) {
+    const tz = forecast.city.timezone || 0;
+    const today = localClock(now, tz).toISOString().slice(0, 10);
+    const days = new Map();
+
+    upcoming(forecast, now).forEach(item => {
+        const key = localClock(item.dt * 1000, tz).toISOString().slice(0, 10);
+        if (!days.has(key)) days.set(key, []);
+        days.get(key).push(item);
+    });
+
+    return [...days].map(([key, items]) => ({ key, label: dayLabel(key, today), items }));
+}
+
+// Items that have not ended yet
+export function upcoming(forecast, now = Date.now()) {
+    return forecast.list.filter(item => (item.dt + 3 * 3600) * 1000 > now);
+}
+
+// 'Today', 'Tomorrow', then e.g. 'Wed 22'
+export function dayLabel(key, today) {
+    const offset = Math.round((Date.parse(key) - Date.parse(today)) / 86400000);
+    if (offset === 0) return 'Today';
+    if (offset === 1) return 'Tomorrow';
+    const date = new Date(Date.parse(key));
+    return `${WEEKDAYS[date.getUTCDay()]} ${date.getUTCDate()}`;
+}
+
+// ─── Daily Outlook ───────────────────────────────────────────────────
+// One summary per forecast day (metric values, converted when rendered):
+// [{ key, label, high, low, pop, wind, main, desc, icon }]
+export function dailyOutlook(forecast, now = Date.now()) {
+    return forecastDays(forecast, now).map(({ key, label, items }) => {
+        const dominant = dominantWeather(items);
+        return {
+            key,
+            label,
+            high: Math.max(...items.map(item => item.main.temp_max ?? item.main.temp)),
+            low: Math.min(...items.map(item => item.main.temp_min ?? item.main.temp)),
+            pop: Math.max(...items.map(item => item.pop || 0)),
+            wind: Math.max(...items.map(item => (item.wind && item.wind.speed) || 0)),
+            main: dominant.main,
+            desc: dominant.description,
+            icon: dominant.icon.replace(/n$/, 'd') // Day icons read better in a daily row
+        };
+    });
+}
+
+// The condition seen in most of the day's items; ties go to the wetter one,
+// since rain is what changes plans
+function dominantWeather(items) {
+    const groups = new Map(); // main → { count, pop, weather }
+    items.forEach(item => {
+        const weather = item.weather[0];
+        const group = groups.get(weather.main) || { count: 0, pop: 0, weather };
+        group.count++;
+        group.pop = Math.max(group.pop, item.pop || 0);
+        groups.set(weather.main, group);
+    });
+
+    return [...groups.values()].reduce((a, b) => {
+        if (b.count !== a.count) return b.count > a.count ? b : a;
+        return b.pop > a.pop ? b : a;
+    }).weather;
+}
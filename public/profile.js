@@ -0,0 +1,129 @@
+// ─── Comfort Profile ─────────────────────────────────────────────────
+// The reader's own thresholds: a comfortable temperature range (°C) and how
+// strongly heat, cold, humidity, wind and poor air affect them. Guests keep
+// it in localStorage; signed-in readers also have it on their account (see
+// firebase.js). The server reads the same fields (lib/profile.js) for gear
+// rules and travel advice, and applies the same threshold shifts.
+import { convert, unitLabel } from './units.js';
+
+const STORAGE_KEY = 'climago-profile';
+
+export const DEFAULT_PROFILE = { tempMin: 18, tempMax: 26, heat: 'normal', cold: 'normal', humidity: 'normal', wind: 'normal', aqi: 'normal' };
+
+const LEVELS = { low: -1, normal: 0, high: 1 };
+const SETTINGS = [
+    { key: 'heat', label: 'Heat' },
+    { key: 'cold', label: 'Cold' },
+    { key: 'humidity', label: 'Humidity' },
+    { key: 'wind', label: 'Wind' },
+    { key: 'aqi', label: 'Air pollution' }
+];
+const LEVEL_LABELS = { low: 'Less sensitive', normal: 'Average', high: 'Very sensitive' };
+const TEMP_LIMITS = { tempMin: [-20, 35], tempMax: [-15, 45] };
+
+// Complete, valid profile from anything (saved JSON, a Firestore document)
+export function normalizeProfile(input) {
+    const profile = { ...DEFAULT_PROFILE };
+    if (input && typeof input === 'object') {
+        for (const [key, [min, max]] of Object.entries(TEMP_LIMITS)) {
+            if (Number.isFinite(input[key])) profile[key] = Math.min(max, Math.max(min, input[key]));
+        }
+        for (const { key } of SETTINGS) {
+            if (input[key] in LEVELS) profile[key] = input[key];
+        }
+    }
+    if (profile.tempMin > profile.tempMax) [profile.tempMin, profile.tempMax] = [profile.tempMax, profile.tempMin];
+    return profile;
+}
+
+export function isDefaultProfile(profile) {
+    return Object.keys(DEFAULT_PROFILE).every(key => profile[key] === DEFAULT_PROFILE[key]);
+}
+
+export function loadProfile() {
+    try {
+        return normalizeProfile(JSON.parse(localStorage.getItem(STORAGE_KEY)));
+    } catch { /* Private mode or corrupt value: use defaults */ }
+    return { ...DEFAULT_PROFILE };
+}
+
+export function saveProfile(profile) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(profile));
+    } catch { /* Not persisted; still applies to this page */ }
+}
+
+// Metric amounts added to weather thresholds (same as lib/profile.js):
+//   heat/cold °C, humidity %, wind m/s, aqi index levels.
+// Negative heat fires heat warnings sooner; positive cold fires cold ones sooner.
+export function profileShifts(profile) {
+    return {
+        heat: profile.tempMax - DEFAULT_PROFILE.tempMax - 3 * LEVELS[profile.heat],
+        cold: profile.tempMin - DEFAULT_PROFILE.tempMin + 3 * LEVELS[profile.cold],
+        humidity: -10 * LEVELS[profile.humidity],
+        wind: -2.5 * LEVELS[profile.wind],
+        aqi: -LEVELS[profile.aqi]
+    };
+}
+
+// Query string part for GET requests ('' for the default profile),
+// e.g. "&profile[tempMin]=15&profile[aqi]=high"
+export function profileQuery(profile) {
+    if (isDefaultProfile(profile)) return '';
+    return Object.keys(DEFAULT_PROFILE)
+        .filter(key => profile[key] !== DEFAULT_PROFILE[key])
+        .map(key => `&${encodeURIComponent(`profile[${key}]`)}=${encodeURIComponent(profile[key])}`)
+        .join('');
+}
+
+// ─── Profile Editor ──────────────────────────────────────────────────
+// Renders the form into `panel`; Save calls onSave(profile). Temperatures are
+// edited in the reader's display unit and stored in °C.
+export function renderProfileEditor(panel, profile, units, { onSave, onClose, note = '' }) {
+    const toDisplay = celsius => convert('temp', celsius, units);
+    const toCelsius = value => (units.temp === 'F' ? Math.round((value - 32) * 5 / 9 * 2) / 2 : value);
+    const tempUnit = unitLabel('temp', units);
+
+    panel.innerHTML = `
+        <form class="profile-form">
+            <h3 id="profileTitle">Comfort profile</h3>
+            <p class="profile-hint">Tunes comfort scores, alerts, gear and travel advice to you.</p>
+            <fieldset class="profile-range">
+                <legend>Comfortable between</legend>
+                <label><span class="sr-only">Lowest comfortable temperature</span>
+                    <input type="number" name="tempMin" step="1" value="${toDisplay(profile.tempMin)}" required /></label>
+                <span>and</span>
+                <label><span class="sr-only">Highest comfortable temperature</span>
+                    <input type="number" name="tempMax" step="1" value="${toDisplay(profile.tempMax)}" required /></label>
+                <span>${tempUnit}</span>
+            </fieldset>
+            ${SETTINGS.map(({ key, label }) => `
+                <label class="profile-setting">
+                    <span>${label}</span>
+                    <select name="${key}">
+                        ${Object.keys(LEVELS).map(level => `<option value="${level}" ${profile[key] === level ? 'selected' : ''}>${LEVEL_LABELS[level]}</option>`).join('')}
+                    </select>
+                </label>
+            `).join('')}
+            <p class="profile-note">${note}</p>
+            <div class="profile-actions">
+                <button type="button" class="secondary-btn" data-action="reset">Reset</button>
+                <button type="button" class="secondary-btn" data-action="close">Cancel</button>
+                <button type="submit" class="secondary-btn primary">Save</button>
+            </div>
+        </form>
+    `;
+
+    const form = panel.querySelector('form');
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const data = new FormData(form);
+        const next = { tempMin: toCelsius(Number(data.get('tempMin'))), tempMax: toCelsius(Number(data.get('tempMax'))) };
+        SETTINGS.forEach(({ key }) => { next[key] = data.get(key); });
+        onSave(normalizeProfile(next));
+    });
+    form.querySelector('[data-action="reset"]').addEventListener('click', () => {
+        renderProfileEditor(panel, { ...DEFAULT_PROFILE }, units, { onSave, onClose, note });
+    });
+    form.querySelector('[data-action="close"]').addEventListener('click', onClose);
+}
@@ -0,0 +1,1085 @@
+import { initFirebase, signInWithGoogle, signOutUser, onAuthChanged, trackSearch, trackCompare, getAuthHeaders, loadUserProfile, saveUserProfile } from './firebase.js';
+import { streamAI, parsePartialJSON, shouldFallback, createRequestSlot } from './ai-stream.js';
+import { fetchJSON, friendlyMessage, bindRetry } from './errors.js';
+import { loadUnits, unitSystem, format, formatDegrees, renderUnitToggle } from './units.js';
+import { hourOfDay, forecastDays, dailyOutlook, upcoming } from './forecast.js';
+import { renderForecastChart } from './chart.js';
+import { comfortInputs, comfortScore, formatPoints } from './comfort.mjs';
+import { loadProfile, saveProfile, normalizeProfile, isDefaultProfile, profileShifts, profileQuery, renderProfileEditor } from './profile.js';
+
+// ─── State Management ────────────────────────────────────────────────
+// Holds the current application state to persist data across re-renders
+const state = {
+    currentCity: '',     // Name of the currently displayed city
+    weatherData: null,   // Raw weather data object from OpenWeather API
+    forecast: null,      // 5-day forecast from the last /api/conditions response
+    aqi: null,           // { index, label } from the last /api/conditions response
+    comfort: null,       // { score, base, factors } for the city shown (see comfort.mjs)
+    places: [],          // Ranked attractions from the last /api/conditions response
+    plannerDay: null,    // Planner day shown ('YYYY-MM-DD' in the city's local time)
+    units: loadUnits(),  // Display units { temp, wind, pressure, distance }, saved across sessions (see units.js)
+    profile: loadProfile(), // Comfort profile; localStorage for guests, also the account when signed in (see profile.js)
+    user: null           // Current logged-in user object (null if guest)
+};
+
+// ─── Service Worker Registration ─────────────────────────────────────
+// Registers a service worker to enable PWA features like offline capability and caching
+if ('serviceWorker' in navigator) {
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('./sw.js')
+            .then(reg => { }) // Registration successful
+            .catch(err => console.log('SW failed', err));
+    });
+}
+
+// ─── UI References ───────────────────────────────────────────────────
+// Cache DOM elements to avoid repeated queries and improve performance
+const ui = {
+    cityInput: document.getElementById('cityInput'),
+    suggestions: document.getElementById('suggestions'),
+    locateBtn: document.getElementById('locateBtn'),
+    result: document.getElementById('result'),
+    quality: document.getElementById('quality'),
+    advice: document.getElementById('advice'),
+    aqi: document.getElementById('aqi'),
+    alerts: document.getElementById('alerts'),
+    summary: document.getElementById('summary'),
+    places: document.getElementById('places'),
+    planner: document.getElementById('planner'),
+    plannerDays: document.getElementById('plannerDays'),
+    mainDivider: document.getElementById('mainDivider'),
+    placesDivider: document.getElementById('placesDivider'),
+    plannerSection: document.getElementById('plannerSection'),
+    outlook: document.getElementById('outlook'),
+    forecastChart: document.getElementById('forecastChart'),
+    outlookSection: document.getElementById('outlookSection'),
+    outlookDivider: document.getElementById('outlookDivider'),
+    placesSection: document.getElementById('placesSection'),
+    advisorSection: document.getElementById('advisorSection'),
+    advisorDivider: document.getElementById('advisorDivider'),
+    travelAdvisor: document.getElementById('travelAdvisor'),
+};
+
+// ─── Event Listeners ─────────────────────────────────────────────────
+// Initialize app logic once the DOM is fully loaded
+document.addEventListener('DOMContentLoaded', async () => {
+    // Initialize Firebase Services (Auth, Analytics)
+    await initFirebase();
+    setupAuth();
+
+    // Unit Toggle: converts what is on screen in place
+    renderUnitToggle(document.getElementById('unitToggle'), state.units, applyUnits);
+    setupProfile();
+
+    // Search Input & Autosuggest Logic
+    let debounceTimer; // Timer to prevent excessive API calls while typing
+    if (ui.cityInput) {
+        ui.cityInput.addEventListener('input', (e) => {
+            const val = e.target.value.trim();
+            clearTimeout(debounceTimer);
+
+            // Hide suggestions if input is too short
+            if (val.length < 3) {
+                if (ui.suggestions) ui.suggestions.classList.add('hidden');
+                return;
+            }
+
+            // Fetch suggestions after 300ms pause in typing
+            debounceTimer = setTimeout(() => fetchSuggestions(val), 300);
+        });
+
+        // Trigger search on 'Enter' key press
+        ui.cityInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                if (ui.suggestions) ui.suggestions.classList.add('hidden');
+                getWeather(ui.cityInput.value);
+            }
+        });
+    }
+
+    // Suggestion Selection: Delegated listener for dynamically rendered items
+    if (ui.suggestions) {
+        ui.suggestions.addEventListener('click', (e) => {
+            const item = e.target.closest('.suggestion-item');
+            if (item) selectCity(item.dataset.name, item.dataset.lat, item.dataset.lon);
+        });
+    }
+
+    // Quick City Pills
+    document.querySelectorAll('.city-pill').forEach(pill => {
+        pill.addEventListener('click', () => handleQuickSearch(pill.dataset.city));
+    });
+
+    // Planner Refresh
+    const refreshPlannerBtn = document.getElementById('refreshPlannerBtn');
+    if (refreshPlannerBtn) refreshPlannerBtn.addEventListener('click', () => showPlanner());
+
+    // Planner Day Picker
+    if (ui.plannerDays) {
+        ui.plannerDays.addEventListener('click', (e) => {
+            const button = e.target.closest('.day-btn');
+            if (!button || !state.forecast) return;
+            state.plannerDay = button.dataset.day;
+            drawPlanner();
+        });
+    }
+
+    // Global Click Listener: Closes dropdowns when clicking outside
+    document.addEventListener('click', (e) => {
+        if (!e.target.closest('.search-wrapper') && ui.suggestions) {
+            ui.suggestions.classList.add('hidden');
+        }
+        // Close user dropdown when clicking outside
+        if (!e.target.closest('.user-profile')) {
+            const dropdown = document.getElementById('userDropdown');
+            if (dropdown) dropdown.classList.add('hidden');
+        }
+    });
+
+    // Geolocation: Auto-detect user's location
+    if (ui.locateBtn) {
+        ui.locateBtn.addEventListener('click', () => {
+            if (navigator.geolocation) {
+                setLoading(true);
+                navigator.geolocation.getCurrentPosition(
+                    (pos) => getWeatherByCoords(pos.coords.latitude, pos.coords.longitude),
+                    (err) => {
+                        setLoading(false);
+                        showError("Location access denied.");
+                    }
+                );
+            } else {
+                showError("Geolocation not supported.");
+            }
+        });
+    }
+});
+
+// ─── Authentication Setup ────────────────────────────────────────────
+// Handles Google Sign-In, Sign-Out, and displaying user profile
+function setupAuth() {
+    const signInBtn = document.getElementById('signInBtn');
+    const signOutBtn = document.getElementById('signOutBtn');
+    const avatarBtn = document.getElementById('avatarBtn');
+
+    if (signInBtn) {
+        signInBtn.addEventListener('click', async () => {
+            signInBtn.disabled = true;
+            signInBtn.querySelector('span').textContent = 'Signing in...';
+            try {
+                await signInWithGoogle();
+            } catch (e) {
+                console.error('Sign-in failed:', e);
+            } finally {
+                signInBtn.disabled = false;
+                signInBtn.querySelector('span').textContent = 'Sign In';
+            }
+        });
+    }
+
+    if (signOutBtn) {
+        signOutBtn.addEventListener('click', async () => {
+            await signOutUser();
+            const dropdown = document.getElementById('userDropdown');
+            if (dropdown) dropdown.classList.add('hidden');
+        });
+    }
+
+    if (avatarBtn) {
+        avatarBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const dropdown = document.getElementById('userDropdown');
+            if (dropdown) dropdown.classList.toggle('hidden');
+        });
+    }
+
+    // Listen for auth state changes from Firebase
+    onAuthChanged((user) => {
+        state.user = user;
+        updateAuthUI(user);
+        if (user) syncProfile();
+    });
+}
+
+// ─── Comfort Profile ─────────────────────────────────────────────────
+// The profile button opens an editor; saving stores the profile on this
+// device (and on the account when signed in) and reloads the city shown,
+// since scores, alerts, gear and travel advice all depend on it.
+function setupProfile() {
+    const profileBtn = document.getElementById('profileBtn');
+    const panel = document.getElementById('profilePanel');
+    if (!profileBtn || !panel) return;
+
+    const close = () => {
+        panel.classList.add('hidden');
+        profileBtn.setAttribute('aria-expanded', 'false');
+    };
+
+    profileBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (!panel.classList.contains('hidden')) return close();
+        renderProfileEditor(panel, state.profile, state.units, {
+            note: state.user ? 'Saved to your account.' : 'Saved on this device. Sign in to keep it everywhere.',
+            onClose: close,
+            onSave: async (profile) => {
+                close();
+                await applyProfile(profile);
+                if (state.user) saveUserProfile(profile);
+            }
+        });
+        panel.classList.remove('hidden');
+        profileBtn.setAttribute('aria-expanded', 'true');
+        panel.querySelector('input').focus();
+    });
+
+    panel.addEventListener('click', (e) => e.stopPropagation());
+    document.addEventListener('click', close);
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && !panel.classList.contains('hidden')) {
+            close();
+            profileBtn.focus();
+        }
+    });
+}
+
+// On sign-in: the account's profile wins; a guest profile is carried over to
+// an account that has none yet
+async function syncProfile() {
+    const remote = await loadUserProfile();
+    if (remote) {
+        const profile = normalizeProfile(remote);
+        if (JSON.stringify(profile) !== JSON.stringify(state.profile)) await applyProfile(profile);
+    } else if (!isDefaultProfile(state.profile)) {
+        saveUserProfile(state.profile);
+    }
+}
+
+// Saves the profile locally and reloads the city shown with it
+async function applyProfile(profile) {
+    state.profile = profile;
+    saveProfile(profile);
+    const data = state.weatherData;
+    if (data) await getWeatherByCoords(data.coord.lat, data.coord.lon);
+}
+
+// Update UI based on auth state (Show Avatar vs Sign In Button)
+function updateAuthUI(user) {
+    const signInBtn = document.getElementById('signInBtn');
+    const userProfile = document.getElementById('userProfile');
+    const userAvatar = document.getElementById('userAvatar');
+    const userName = document.getElementById('userName');
+    const userEmail = document.getElementById('userEmail');
+
+    if (user) {
+        // User is Signed In
+        if (signInBtn) signInBtn.classList.add('hidden');
+        if (userProfile) userProfile.classList.remove('hidden');
+        if (userAvatar) userAvatar.src = user.photoURL || '';
+        if (userName) userName.textContent = user.displayName || 'User';
+        if (userEmail) userEmail.textContent = user.email || '';
+    } else {
+        // User is Signed Out
+        if (signInBtn) signInBtn.classList.remove('hidden');
+        if (userProfile) userProfile.classList.add('hidden');
+    }
+}
+
+// ─── Autosuggest Logic ───────────────────────────────────────────────
+// Fetches city predictions from the backend as the user types
+async function fetchSuggestions(query) {
+    try {
+        const res = await fetch(`/api/search?q=${encodeURIComponent(query)}`);
+        const data = await res.json();
+
+        if (data && data.length > 0) {
+            renderSuggestions(data);
+        } else {
+            ui.suggestions.classList.add('hidden');
+        }
+    } catch (e) {
+        console.error(e);
+    }
+}
+
+// Renders the list of city suggestions
+function renderSuggestions(list) {
+    if (!ui.suggestions) return;
+    const html = list.map(item => {
+        const name = `${item.name}`;
+        const meta = `${item.state ? item.state + ', ' : ''}${item.country}`;
+        // Selection is handled by a delegated click listener (no inline handlers, see CSP)
+        return `
+            <div class="suggestion-item" data-name="${escapeHTML(name)}" data-lat="${item.lat}" data-lon="${item.lon}">
+                <span>${escapeHTML(name)}</span>
+                <span class="country-code">${escapeHTML(meta)}</span>
+            </div>
+        `;
+    }).join('');
+
+    ui.suggestions.innerHTML = html;
+    ui.suggestions.classList.remove('hidden');
+}
+
+// Handles city selection from the dropdown
+function selectCity(name, lat, lon) {
+    ui.cityInput.value = name;
+    ui.suggestions.classList.add('hidden');
+    getWeatherByCoords(lat, lon); // Fetch weather for selected coordinates
+}
+
+// ─── Quick Search Handler ────────────────────────────────────────────
+function handleQuickSearch(city) {
+    if (ui.cityInput) {
+        ui.cityInput.value = city; // Auto-fill search input
+    }
+    getWeather(city); // Trigger search
+}
+
+// ─── Weather Data Fetching ───────────────────────────────────────────
+
+// Fetches weather by City Name
+async function getWeather(cityName) {
+    if (!cityName) return;
+    setLoading(true);
+    resetUI();
+    trackSearch(cityName); // Analytics Event
+    try {
+        const conditions = await fetchAPI(`/api/conditions?city=${encodeURIComponent(cityName)}&units=${unitSystem(state.units)}${profileQuery(state.profile)}`);
+        await processConditions(conditions);
+    } catch (err) {
+        showError(err, () => getWeather(cityName));
+        setLoading(false);
+    }
+}
+
+// Fetches weather by Geographic Coordinates (Lat/Lon)
+async function getWeatherByCoords(lat, lon) {
+    setLoading(true);
+    resetUI();
+    try {
+        const conditions = await fetchAPI(`/api/conditions?lat=${lat}&lon=${lon}&units=${unitSystem(state.units)}${profileQuery(state.profile)}`);
+        await processConditions(conditions);
+    } catch (err) {
+        showError(err, () => getWeatherByCoords(lat, lon));
+        setLoading(false);
+    }
+}
+
+// Orchestrator: Renders the aggregated /api/conditions document
+// Each section is { data, error }; failed sections are simply skipped
+async function processConditions(conditions) {
+    const data = conditions.weather.data;
+    state.weatherData = data;
+    state.currentCity = data.name;
+    state.forecast = conditions.forecast.data;
+    state.aqi = conditions.aqi.data;       // { index, label } or null
+    state.places = conditions.places.data || [];
+    state.plannerDay = null; // Start the planner on the city's today
+
+    renderWeather(data); // Render Main Weather Card
+
+    try {
+        const aqi = state.aqi;
+        const uv = conditions.uv.data;     // { uvi } or null
+
+        renderExtras(data, aqi, uv); // Render additional cards
+        showSummary(data);           // Streams into the Insight card
+
+        // Reveal hidden UI sections
+        ui.mainDivider.classList.remove('hidden');
+        ui.plannerSection.classList.remove('hidden');
+        ui.placesDivider.classList.remove('hidden');
+        ui.placesSection.classList.remove('hidden');
+
+        // Planner, Curated Places and AI Travel Advisor
+        showPlanner(state.forecast);
+        showPlaces(conditions.places, conditions.gear);
+        fetchTravelAdvice(data, aqi ? aqi.index : 0); // Fetches structured AI advice
+
+    } catch (e) {
+        console.error('Error rendering extras', e);
+    } finally {
+        setLoading(false); // Hide loading state
+    }
+}
+
+// ─── Unit Changes ────────────────────────────────────────────────────
+// Re-renders what is on screen in the new units. Scores and alerts use the
+// metric data, so they stay as they are. AI text is requested again only when
+// the unit system (°C ↔ °F) changed, since the server writes it in that system.
+function applyUnits(units, previous) {
+    const data = state.weatherData;
+    if (!data) return;
+
+    renderWeather(data);
+    if (state.comfort) renderComfort(state.comfort);
+    if (state.forecast) {
+        drawPlanner();
+        drawOutlook();
+    }
+    if (state.places.length) renderPlaces(state.places);
+
+    if (unitSystem(units) !== unitSystem(previous)) {
+        showSummary(data);
+        fetchTravelAdvice(data, state.aqi ? state.aqi.index : 0);
+    }
+}
+
+// ─── Curated Places & Gear ──────────────────────────────────────────
+
+// Renders nearby attractions and gear suggestions from the conditions document
+function showPlaces(places, gear) {
+    // Render Local Attractions Grid
+    if (places.data && places.data.length > 0) {
+        renderPlaces(places.data);
+    } else if (places.error) {
+        ui.places.innerHTML = `<div style="text-align:center;opacity:0.6;">${escapeHTML(friendlyMessage(places.error, { subject: 'nearby places' }))}</div>`;
+    } else {
+        ui.places.innerHTML = '<div style="text-align:center;opacity:0.6;">No specific places found.</div>';
+    }
+
+    // Render Recommended Gear (e.g., Umbrella, Sunscreen)
+    if (gear.data && gear.data.length > 0) {
+        renderGear(gear.data);
+    }
+}
+
+// Renders the essential gear list into the UI
+function renderGear(gear) {
+    const html = gear.map(g => `
+        <li style="margin-bottom: 8px; display: flex; align-items: flex-start; gap: 8px;">
+            <span style="color:var(--accent)">•</span>
+            <div>
+                <strong>${escapeHTML(g.item)}</strong>
+                <div style="font-size: 0.85rem; opacity: 0.7;">${escapeHTML(g.reason)}</div>
+            </div>
+        </li>
+    `).join('');
+
+    ui.advice.innerHTML = `
+        <div class="card-glass">
+            <span class="section-label">Smart Essentials</span>
+            <ul style="padding-left: 0; list-style: none; margin: 0; font-size: 0.95rem; line-height: 1.5;">
+                ${html}
+            </ul>
+        </div>
+    `;
+    ui.advice.classList.remove('hidden');
+}
+
+// Helper to handle generic API fetch; failures throw the server's error envelope (see errors.js)
+async function fetchAPI(endpoint) {
+    return fetchJSON(endpoint);
+}
+
+// ─── UI Rendering Logic ──────────────────────────────────────────────
+
+// Renders the primary weather card (Temp, Conditions, Details)
+function renderWeather(data) {
+    const iconUrl = `https://openweathermap.org/img/wn/${data.weather[0].icon}@4x.png`;
+
+    ui.result.innerHTML = `
+        <div class="main-card">
+            <div class="weather-header">
+                <h2 class="city-name">${data.name}, ${data.sys.country}</h2>
+                <img src="${iconUrl}" alt="${data.weather[0].description}" class="weather-icon-large" />
+                <div class="weather-temp">${formatDegrees(data.main.temp, state.units)}</div>
+                <div class="weather-desc">${capitalize(data.weather[0].description)}</div>
+            </div>
+            
+            <div class="weather-details">
+                <div class="detail-item">
+                    <span class="detail-label">Feels Like</span>
+                    <span class="detail-value">${formatDegrees(data.main.feels_like, state.units)}</span>
+                </div>
+                <div class="detail-item">
+                    <span class="detail-label">Humidity</span>
+                    <span class="detail-value">${data.main.humidity}%</span>
+                </div>
+                <div class="detail-item">
+                    <span class="detail-label">Wind</span>
+                    <span class="detail-value">${format('wind', data.wind.speed, state.units)}</span>
+                </div>
+                 <div class="detail-item">
+                    <span class="detail-label">Pressure</span>
+                    <span class="detail-value">${format('pressure', data.main.pressure, state.units)}</span>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+// Renders supplementary cards: Comfort Score, Advice, AQI, UV, Alerts, Summary
+function renderExtras(data, aqi, uv) {
+    const reader = { profile: state.profile, shift: profileShifts(state.profile) };
+    state.comfort = comfortScore(comfortInputs(data, { aqi: aqi ? aqi.index : null, uvi: uv ? uv.uvi : null }), reader);
+    const qualityScore = state.comfort.score;
+
+    // 1. Comfort Score Card
+    renderComfort(state.comfort);
+
+    // 2. Advice Card (Initially populated, potentially overridden by 'renderGear')
+    const adviceList = generateAdvice(data, qualityScore);
+    ui.advice.innerHTML = `
+        <div class="card-glass">
+            <span class="section-label">Advice</span>
+            <ul style="padding-left: 1rem; margin: 0; font-size: 0.95rem; line-height: 1.6;">
+                ${adviceList.map(a => `<li>${a}</li>`).join('')}
+            </ul>
+        </div>
+    `;
+    ui.advice.classList.remove('hidden');
+
+    // 3. Air Quality (AQI) Card
+    if (aqi) {
+        const color = { 1: '#03dac6', 2: '#81c784', 3: '#ffeb3b', 4: '#ff9800', 5: '#cf6679' }[aqi.index];
+
+        ui.aqi.innerHTML = `
+            <div class="card-glass">
+                <span class="section-label">Air Quality</span>
+                <div style="font-size: 1.5rem; color: ${color}; font-weight: 500;">${aqi.label}</div>
+                <div style="font-size: 0.8rem; opacity: 0.7; margin-top: 5px;">Index: ${aqi.index}</div>
+            </div>
+        `;
+        ui.aqi.classList.remove('hidden');
+    }
+
+    // 4. UV Index (Appended to AQI container; flagged when estimated from sun angle)
+    if (uv) {
+        const uvi = uv.uvi;
+        let uvColor = '#03dac6';
+        if (uvi > 2) uvColor = '#ffeb3b';
+        if (uvi > 5) uvColor = '#ff9800';
+        if (uvi > 7) uvColor = '#cf6679';
+
+        ui.aqi.innerHTML += `
+            <div class="card-glass" style="margin-top:10px;">
+                <span class="section-label">UV Index</span>
+                <div style="font-size: 1.5rem; color: ${uvColor}; font-weight: 500;">${Math.round(uvi)}</div>
+                <div style="font-size: 0.8rem; opacity: 0.7; margin-top: 5px;">${getUVDesc(uvi)}${uv.estimated ? ' · Estimated' : ''}</div>
+            </div>
+        `;
+    }
+
+    // 5. Smart Alerts (Conditional)
+    const alerts = getSmartAlerts(data, aqi, qualityScore);
+    if (alerts.length > 0) {
+        ui.alerts.innerHTML = `
+            <div class="card-glass" style="border-color: var(--danger);">
+                <span class="section-label" style="color: var(--danger);">Alerts</span>
+                <ul style="padding-left: 1rem; margin: 0;">${alerts.map(a => `<li style="margin-bottom:5px">${a}</li>`).join('')}</ul>
+            </div>
+        `;
+        ui.alerts.classList.remove('hidden');
+    } else {
+        ui.alerts.classList.add('hidden');
+    }
+
+}
+
+// Renders the AI Insight card (called repeatedly while the summary streams in)
+function renderSummary(text) {
+    ui.summary.innerHTML = `
+        <div class="card-glass" style="border-color: var(--accent);">
+            <span class="section-label">Insight</span>
+            <p style="margin: 0; font-size: 1.1rem; line-height: 1.6; font-family: var(--font-heading);">${escapeHTML(text)}</p>
+        </div>
+    `;
+    ui.summary.classList.remove('hidden');
+}
+
+// Comfort Score card: the score and what each factor added or took away
+function renderComfort(comfort) {
+    const sign = points => (points > 0 ? 'positive' : points < 0 ? 'negative' : '');
+
+    ui.quality.innerHTML = `
+        <div class="card-glass">
+            <span class="section-label">Comfort Score</span>
+            <div style="font-size: 2rem; font-weight: 600; color: var(--accent);">${comfort.score.toFixed(1)}<span style="font-size:1rem;color:var(--text-secondary)">/10</span></div>
+            <ul class="comfort-factors" aria-label="Why this score">
+                <li><span class="factor-label">Starting point</span><span class="factor-points">${comfort.base}</span></li>
+                ${comfort.factors.map(f => `
+                    <li title="${escapeHTML(f.reason)}">
+                        <span class="factor-label">${f.label} <span class="factor-value">${escapeHTML(formatFactorValue(f, state.units))} · ${escapeHTML(f.reason)}</span></span>
+                        <span class="factor-points ${sign(f.points)}">${formatPoints(f.points)}</span>
+                    </li>
+                `).join('')}
+            </ul>
+        </div>
+    `;
+    ui.quality.classList.remove('hidden');
+}
+
+// A comfort factor's input as shown to the reader, e.g. "22°C", "4.1 m/s", "8.0 km"
+function formatFactorValue(factor, units) {
+    switch (factor.id) {
+        case 'temp':
+        case 'feelsLike': return format('temp', factor.value, units);
+        case 'wind': return format('wind', factor.value, units);
+        case 'visibility': return format('distance', factor.value / 1000, units);
+        case 'humidity': return `${factor.value}%`;
+        case 'uvi': return String(Math.round(factor.value));
+        case 'aqi': return `Index ${factor.value}`;
+        default: return String(factor.value);
+    }
+}
+
+// ─── Daily Planner ───────────────────────────────────────────────────
+// Splits a forecast day (a calendar date in the city, see forecast.js) into
+// time-of-day slots. "Night" is the night after the day, running into the next
+// date's small hours; the first day also shows the small hours still ahead,
+// which no earlier day in the picker covers.
+const SLOTS = [
+    { name: 'Overnight', from: 0, to: 6, firstDayOnly: true },
+    { name: 'Morning', from: 6, to: 12 },
+    { name: 'Afternoon', from: 12, to: 17 },
+    { name: 'Evening', from: 17, to: 21 },
+    { name: 'Night', from: 21, to: 30 } // Until 06:00 on the next date
+];
+// Renders the planner and outlook from a forecast; the one preloaded by /api/conditions, or a fresh one on refresh
+async function showPlanner(preloaded) {
+    ui.planner.innerHTML = '<div style="grid-column: 1/-1; text-align:center; padding: 2rem;">Generating narrative...</div>';
+
+    try {
+        state.forecast = preloaded || await fetchAPI(`/api/forecast?city=${encodeURIComponent(state.currentCity)}`);
+        drawPlanner();
+        drawOutlook();
+    } catch (e) {
+        ui.plannerDays.classList.add('hidden');
+        ui.planner.innerHTML = '<div style="color:var(--danger)">Unable to load planner.</div>';
+        ui.outlookDivider.classList.add('hidden');
+        ui.outlookSection.classList.add('hidden');
+    }
+}
+
+// Day picker plus the selected day's slots, from state.forecast
+function drawPlanner() {
+    const tz = state.forecast.city.timezone || 0;
+    const items = upcoming(state.forecast);
+    // A date whose only items are the small hours after the last night has no slots of its own
+    const days = forecastDays(state.forecast)
+        .map((d, i) => ({ ...d, slots: processForecast(items, d.key, tz, i === 0) }))
+        .filter(d => d.slots.length);
+    if (!days.some(d => d.key === state.plannerDay)) state.plannerDay = days.length ? days[0].key : null;
+    const day = days.find(d => d.key === state.plannerDay);
+
+    ui.plannerDays.innerHTML = days.map(d => `
+        <button type="button" class="day-btn ${d === day ? 'active' : ''}" role="tab" aria-selected="${d === day}" data-day="${d.key}">${d.label}</button>
+    `).join('');
+    ui.plannerDays.classList.toggle('hidden', days.length === 0);
+
+    const html = (day ? day.slots : []).map(slot => {
+        const low = formatDegrees(slot.min, state.units);
+        const high = formatDegrees(slot.max, state.units);
+        return `
+                <div class="planner-slot">
+                    <span class="slot-time">${slot.name}</span>
+                    <div style="display:flex; align-items:center; gap:10px; margin-bottom: 8px;">
+                         <img src="https://openweathermap.org/img/wn/${slot.icon}.png" width="30" height="30" />
+                         <span style="font-size: 1.2rem;">${low === high ? high : `${low} – ${high}`}</span>
+                    </div>
+                    <div style="font-size: 0.9rem; opacity: 0.8; margin-bottom: 8px;">${capitalize(slot.desc)}${slot.pop >= 0.1 ? ` · 💧 ${Math.round(slot.pop * 100)}%` : ''}</div>
+                    <div style="font-size: 0.85rem; color: var(--accent); font-style: italic;">${slot.suggestion}</div>
+                </div>
+            `;
+    }).join('');
+
+    ui.planner.innerHTML = html || '<div style="text-align:center;">No forecast data available for this day.</div>';
+}
+
+// Aggregates the 3-hour items falling in day `key`'s slots:
+// [{ name, min, max, pop, desc, icon, suggestion }], skipping slots without data
+function processForecast(items, key, tz, firstDay) {
+    return SLOTS.filter(slot => firstDay || !slot.firstDayOnly).map(slot => {
+        const inSlot = items.filter(item => {
+            const hour = hourOfDay(item.dt * 1000, key, tz); // 0–29
+            return hour >= slot.from && hour < slot.to;
+        });
+        if (!inSlot.length) return null;
+
+        const temps = inSlot.map(item => item.main.temp);
+        const min = Math.min(...temps);
+        const max = Math.max(...temps);
+        const pop = Math.max(...inSlot.map(item => item.pop || 0));
+        // The wettest item describes the slot (the earliest on a tie): rain is what changes plans
+        const lead = inSlot.reduce((a, b) => ((b.pop || 0) > (a.pop || 0) ? b : a));
+
+        return {
+            name: slot.name,
+            min,
+            max,
+            pop,
+            desc: lead.weather[0].description,
+            icon: lead.weather[0].icon,
+            suggestion: getSlotSuggestion(min, max, pop, lead.weather[0].main)
+        };
+    }).filter(Boolean);
+}
+
+// Generates micro-copy suggestions for the planner slots (metric temperatures)
+function getSlotSuggestion(min, max, pop, main) {
+    if (pop > 0.5 || /rain|snow/i.test(main)) return 'Expect precipitation, stay dry.';
+    if (max > 30) return 'Heat warning, stay cool.';
+    if (min < 10) return 'Bundle up.';
+    return 'Conditions look good.';
+}
+
+// ─── Five-Day Outlook ────────────────────────────────────────────────
+// One card per forecast day plus the chart of every remaining 3-hour item
+
+function drawOutlook() {
+    const tz = state.forecast.city.timezone || 0;
+    const days = dailyOutlook(state.forecast);
+
+    ui.outlook.innerHTML = days.map(day => `
+        <div class="outlook-day" role="listitem">
+            <span class="slot-time">${day.label}</span>
+            <img src="https://openweathermap.org/img/wn/${day.icon}.png" width="40" height="40" alt="" />
+            <div class="outlook-temps">
+                <span class="outlook-high" aria-label="High">${formatDegrees(day.high, state.units)}</span>
+                <span class="outlook-low" aria-label="Low">${formatDegrees(day.low, state.units)}</span>
+            </div>
+            <div class="outlook-desc">${capitalize(day.desc)}</div>
+            <div class="outlook-meta">
+                <span title="Chance of rain">💧 ${Math.round(day.pop * 100)}%</span>
+                <span title="Strongest wind">🌬 ${format('wind', day.wind, state.units)}</span>
+            </div>
+        </div>
+    `).join('');
+
+    renderForecastChart(ui.forecastChart, upcoming(state.forecast), tz, state.units);
+
+    ui.outlookDivider.classList.toggle('hidden', days.length === 0);
+    ui.outlookSection.classList.toggle('hidden', days.length === 0);
+}
+
+// ─── Places Rendering ────────────────────────────────────────────────
+
+function renderPlaces(list) {
+    // Names come straight from OpenStreetMap, so escape everything
+    ui.places.innerHTML = list.map(p => `
+        <div class="place-card">
+            <div class="place-content">
+                <span class="place-badge ${p.type && p.type.toLowerCase() === 'outdoor' ? 'badge-outdoor' : 'badge-indoor'}">${escapeHTML(p.type || 'Visit')}</span>
+                <h4 class="place-name">${escapeHTML(p.name)}</h4>
+                <p class="place-desc">${escapeHTML(p.desc)}</p>
+                ${p.reason ? `<p class="place-reason">${escapeHTML(p.reason)}</p>` : ''}
+                ${p.dist ? `<div style="font-size:0.8rem; margin-top:5px; opacity:0.5; text-align:right;">~${format('distance', Number(p.dist), state.units)} away</div>` : ''}
+            </div>
+        </div>
+    `).join('');
+}
+
+// ─── Utility Functions ───────────────────────────────────────────────
+
+function getUVDesc(uvi) {
+    if (uvi <= 2) return "Low";
+    if (uvi <= 5) return "Moderate";
+    if (uvi <= 7) return "High";
+    return "Very High";
+}
+
+// ─── AI Insight Summary ──────────────────────────────────────────────
+// Streams the summary token by token; falls back to the one-shot route when
+// streaming is unavailable, and to a plain sentence when AI is unavailable
+// A newer summary (another city, a unit change, a profile save) aborts the one in flight
+const summarySlot = createRequestSlot();
+
+async function showSummary(data) {
+    const request = summarySlot.start();
+    const body = summaryRequest(data);
+    const fallback = `Current conditions in ${data.name} are ${data.weather[0].description} with a temperature of ${format('temp', data.main.temp, state.units)}.`;
+    renderSummary('…');
+
+    let reply;
+    try {
+        const result = await streamAI('/ai/stream', body, {
+            headers: await getAuthHeaders(),
+            signal: request.signal,
+            onToken: text => { if (request.isCurrent()) renderSummary(text); }
+        });
+        reply = result.reply;
+    } catch (e) {
+        if (!request.isCurrent()) return;
+        reply = shouldFallback(e) ? await getSummary(body, fallback, request.signal) : fallback;
+    }
+    if (request.isCurrent()) renderSummary(reply);
+}
+
+// Request body for the server-owned 'summary' prompt template
+function summaryRequest(data) {
+    return {
+        template: 'summary',
+        params: {
+            city: data.name,
+            temp: Math.round(data.main.temp),
+            condition: data.weather[0].description,
+            humidity: data.main.humidity,
+            units: unitSystem(state.units) // Values stay metric; this sets the answer's units
+        }
+    };
+}
+
+// One-shot AI Summary (non-streaming path)
+async function getSummary(body, fallback, signal) {
+    try {
+        const res = await fetch('/ai', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...(await getAuthHeaders()) },
+            body: JSON.stringify(body),
+            signal
+        });
+        const j = await res.json();
+        if (j.reply && !j.reply.includes('error')) return j.reply;
+        throw new Error('AI fail');
+    } catch {
+        return fallback;
+    }
+}
+
+function setLoading(loading) {
+    if (loading) {
+        ui.result.innerHTML = '<div class="main-card" style="text-align:center; padding:4rem;"><div style="font-size:1.5rem; opacity:0.7">Analyzing atmosphere...</div></div>';
+    }
+}
+
+function resetUI() {
+    ui.quality.classList.add('hidden');
+    ui.advice.classList.add('hidden');
+    ui.aqi.classList.add('hidden');
+    ui.alerts.classList.add('hidden');
+    ui.summary.classList.add('hidden');
+    ui.plannerSection.classList.add('hidden');
+    ui.outlookSection.classList.add('hidden');
+    ui.outlookDivider.classList.add('hidden');
+    ui.placesSection.classList.add('hidden');
+    ui.mainDivider.classList.add('hidden');
+    ui.placesDivider.classList.add('hidden');
+    if (ui.advisorSection) ui.advisorSection.classList.add('hidden');
+    if (ui.advisorDivider) ui.advisorDivider.classList.add('hidden');
+    // AI text still streaming for the previous city must not land in the new one
+    summarySlot.cancel();
+    adviceSlot.cancel();
+}
+
+// Shows a plain message, or an API error in friendly wording with a retry button when retrying can help
+function showError(error, onRetry) {
+    const msg = typeof error === 'string' ? error : friendlyMessage(error, { subject: 'the weather' });
+    const canRetry = onRetry && typeof error !== 'string' && error.retryable;
+    ui.result.innerHTML = `
+        <div class="main-card" style="border-color:var(--danger); text-align:center;">
+            <h3 style="color:var(--danger)">Error</h3>
+            <p>${escapeHTML(msg)}</p>
+            ${canRetry ? '<button id="retryWeatherBtn" class="secondary-btn" style="margin: 1rem auto 0;">🔄 Retry</button>' : ''}
+        </div>`;
+    if (canRetry) bindRetry(document.getElementById('retryWeatherBtn'), error, onRetry);
+}
+
+function capitalize(s) { return s.charAt(0).toUpperCase() + s.slice(1); }
+
+// Escapes text for safe interpolation into HTML markup and attributes
+function escapeHTML(s) {
+    return String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+// ─── Smart Alerts & Rule-Based Logic ─────────────────────────────────
+
+// Thresholds move with the reader's comfort profile (see profile.js)
+function getSmartAlerts(data, aqi, score) {
+    const alerts = [];
+    const temp = data.main.temp;
+    const hum = data.main.humidity;
+    const wind = data.wind.speed;
+    const condition = data.weather[0].main;
+    const shift = profileShifts(state.profile);
+
+    if (temp > 40 + shift.heat) alerts.push('Extreme heat warning — stay indoors and hydrate.');
+    else if (temp > 35 + shift.heat) alerts.push('High heat advisory — avoid prolonged sun exposure.');
+    if (temp < -5 + shift.cold) alerts.push('Severe cold warning — frostbite risk.');
+    else if (temp < 5 + shift.cold) alerts.push('Cold advisory — dress warmly.');
+    if (wind > 15 + shift.wind) alerts.push('Strong wind advisory — secure loose objects.');
+    if (hum > 85 + shift.humidity) alerts.push('Very high humidity — may feel uncomfortable.');
+    if (/Thunder/i.test(condition)) alerts.push('Thunderstorm warning — stay indoors.');
+    if (/Snow/i.test(condition)) alerts.push('Snowfall — drive cautiously.');
+    if (/Rain/i.test(condition) && wind > 10) alerts.push('Heavy rain with wind — carry sturdy umbrella.');
+
+    if (aqi) {
+        if (aqi.index >= 4 + shift.aqi) alerts.push(`Air quality is ${aqi.index >= 4 ? 'poor' : aqi.label.toLowerCase()} — wear a mask outdoors.`);
+        if (aqi.index >= 5 + shift.aqi) alerts.push(`${aqi.index >= 5 ? 'Hazardous' : aqi.label} air quality — avoid all outdoor activities.`);
+    }
+
+    if (score < 3) alerts.push('Overall conditions are challenging — plan accordingly.');
+    return alerts;
+}
+
+// ─── AI Travel Advisor ───────────────────────────────────────────────
+const adviceCache = new Map();
+const adviceSlot = createRequestSlot(); // A newer request aborts the one in flight
+
+// Fetches AI-generated travel advice with fallback logic
+async function fetchTravelAdvice(data, aqiVal) {
+    if (!ui.advisorSection || !ui.travelAdvisor) return;
+    const request = adviceSlot.start();
+
+    // Show section with loading state
+    ui.advisorDivider.classList.remove('hidden');
+    ui.advisorSection.classList.remove('hidden');
+    ui.travelAdvisor.innerHTML = `
+        <div class="advisor-loading">
+            <div class="pulse-dot"></div>
+            <span>Consulting AI travel advisor...</span>
+        </div>
+    `;
+
+    // Check client-side cache first (per city, current conditions and profile, like the server)
+    const units = unitSystem(state.units);
+    const cacheKey = `${data.name}|${data.weather[0].description}|${Math.round(data.main.temp / 5)}|${aqiVal || 0}|${units}|${profileQuery(state.profile)}`.toLowerCase();
+    if (adviceCache.has(cacheKey)) {
+        renderTravelAdvice(adviceCache.get(cacheKey));
+        return;
+    }
+
+    const body = {
+        city: data.name,
+        temp: Math.round(data.main.temp),
+        humidity: data.main.humidity,
+        wind: data.wind.speed,
+        condition: data.weather[0].description,
+        airQuality: aqiVal || 0,
+        units,
+        profile: state.profile
+    };
+
+    try {
+        let advice;
+        try {
+            // Stream first, rendering whatever part of the JSON has arrived
+            const result = await streamAI('/api/travel-advice/stream', body, {
+                headers: await getAuthHeaders(),
+                signal: request.signal,
+                onToken: text => {
+                    if (!request.isCurrent()) return;
+                    const partial = parsePartialJSON(text);
+                    if (partial) renderTravelAdvice(partial, { streaming: true });
+                }
+            });
+            advice = result.advice;
+        } catch (e) {
+            if (!shouldFallback(e)) throw e;
+            advice = await requestTravelAdvice(body, request.signal); // One-shot JSON path
+        }
+
+        adviceCache.set(cacheKey, advice);
+        if (request.isCurrent()) renderTravelAdvice(advice);
+    } catch (e) {
+        if (!request.isCurrent()) return; // Superseded; the newer request owns the panel
+        console.error('Travel advice error:', e);
+
+        const detail = friendlyMessage(e, { subject: 'the AI travel advisor' });
+        // Errors from the streaming transport itself carry no code and are worth another try
+        const canRetry = e.retryable || !e.code;
+
+        ui.travelAdvisor.innerHTML = `
+            <div class="card-glass" style="text-align:center; padding: 2rem;">
+                <p style="margin-bottom: 1rem; color: var(--text-secondary);">⚠️ AI travel advisor couldn't load right now.</p>
+                <p style="font-size: 0.85rem; opacity:0.6; margin-bottom: 1.2rem;">${escapeHTML(detail)}</p>
+                ${canRetry ? `<button id="retryAdviceBtn" class="secondary-btn" style="margin: 0 auto;">
+                    🔄 Retry
+                </button>` : ''}
+            </div>
+        `;
+        // Retry with the same inputs (held back until the rate limit window passes)
+        if (canRetry) bindRetry(document.getElementById('retryAdviceBtn'), e, () => fetchTravelAdvice(data, aqiVal));
+    }
+}
+
+// One-shot travel advice request (non-streaming path)
+async function requestTravelAdvice(body, signal) {
+    const result = await fetchJSON('/api/travel-advice', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(await getAuthHeaders()) },
+        body: JSON.stringify(body),
+        signal
+    });
+    return result.advice;
+}
+
+// Renders the structured advice object into styled HTML cards
+// advice: { places: [{ name, description }], nearby: [{ name, distance, description }], wear, eat, alert }
+// While streaming, `advice` may be partial: incomplete entries are skipped
+function renderTravelAdvice(advice, { streaming = false } = {}) {
+    const places = (advice.places || []).filter(p => p && p.name);
+    const nearby = (advice.nearby || []).filter(p => p && p.name).map(p => ({
+        name: p.name,
+        description: [p.distance, p.description].filter(Boolean).join(' · ')
+    }));
+    const { wear, eat, alert } = advice;
+
+    let html = '';
+
+    // Places Grid (Hero section)
+    if (places.length > 0) {
+        html += `<div class="advisor-places-header">
+            <span class="advisor-icon">📍</span>
+            <span>Must-Visit Places</span>
+        </div>
+        <div class="advisor-places-grid">
+            ${places.map((p, i) => `
+                <div class="place-card card-glass" style="animation-delay: ${i * 0.1}s">
+                    <div class="place-rank">${i + 1}</div>
+                    <div class="place-info">
+                        <div class="place-name">${escapeHTML(p.name)}</div>
+                        ${p.description ? `<div class="place-desc">${escapeHTML(p.description)}</div>` : ''}
+                    </div>
+                </div>
+            `).join('')}
+        </div>`;
+    }
+
+    // Nearby Escapes
+    if (nearby.length > 0) {
+        html += `<div class="advisor-places-header nearby-header">
+            <span class="advisor-icon">🌍</span>
+            <span>Nearby Escapes</span>
+        </div>
+        <div class="advisor-nearby-grid">
+            ${nearby.map(p => `
+                <div class="nearby-card card-glass">
+                    <div class="nearby-name">${escapeHTML(p.name)}</div>
+                    ${p.description ? `<div class="nearby-desc">${escapeHTML(p.description)}</div>` : ''}
+                </div>
+            `).join('')}
+        </div>`;
+    }
+
+    // Quick Tips Chip Strip
+    const tips = [];
+    if (wear) tips.push({ icon: '🧥', text: wear });
+    if (eat) tips.push({ icon: '🍽️', text: eat });
+    if (alert) tips.push({ icon: '⚠️', text: alert }); // null when conditions are pleasant
+
+    if (tips.length > 0) {
+        html += `<div class="advisor-tips-strip">
+            ${tips.map(t => `
+                <div class="tip-chip card-glass">
+                    <span class="tip-icon">${t.icon}</span>
+                    <span class="tip-text">${escapeHTML(t.text)}</span>
+                </div>
+            `).join('')}
+        </div>`;
+    }
+
+    if (!html && streaming) return; // Keep the loading state until something renders
+    ui.travelAdvisor.innerHTML = html || '<div class="card-glass" style="text-align:center;opacity:0.6;padding:2rem;">No travel advice available.</div>';
+}
+
+// Rule-based tips for the Advice card, shifted by the comfort profile
+function generateAdvice(data, score) {
+    const arr = [];
+    const shift = profileShifts(state.profile);
+    if (data.main.temp > 28 + shift.heat) arr.push("Light clothing recommended.");
+    if (data.main.temp < 10 + shift.cold) arr.push("Coat required.");
+    if (score > 8) arr.push("Perfect weather for outdoor plans.");
+    return arr.length ? arr : ["Enjoy your day."];
+}
+
@@ -1,9 +1,16 @@
-const CACHE_NAME = 'climego-v2';
+const CACHE_NAME = 'climego-v8';
 const urlsToCache = [
     './',
     './index.html',
     './style.css',
     './script.js',
+    './ai-stream.js',
+    './errors.js',
+    './units.js',
+    './forecast.js',
+    './chart.js',
+    './comfort.mjs',
+    './profile.js',
     './icon-192.png',
     './icon-512.png'
 ];
@@ -32,6 +39,9 @@ self.addEventListener('activate', event => {
 });
 
 self.addEventListener('fetch', event => {
+    // POSTs (AI requests, SSE streams) can't be cached; let the browser handle them
+    if (event.request.method !== 'GET') return;
+
     // Network first strategy for API calls and critical files to ensure freshness
     if (event.request.url.includes('/api/')) {
         event.respondWith(fetch(event.request));
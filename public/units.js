@@ -0,0 +1,105 @@
+// ─── Display Units ───────────────────────────────────────────────────
+// The server always answers in metric (°C, m/s, hPa, km). Values are converted
+// only when rendered, so comfort scores and caches stay in canonical units.
+// The reader's choice is saved in localStorage and shared by every page.
+
+const STORAGE_KEY = 'climago-units';
+
+// Each kind cycles through its options in this order
+export const UNIT_OPTIONS = {
+    temp: [{ id: 'C', label: '°C' }, { id: 'F', label: '°F' }],
+    wind: [{ id: 'ms', label: 'm/s' }, { id: 'kmh', label: 'km/h' }, { id: 'mph', label: 'mph' }],
+    pressure: [{ id: 'hPa', label: 'hPa' }, { id: 'inHg', label: 'inHg' }],
+    distance: [{ id: 'km', label: 'km' }, { id: 'mi', label: 'mi' }]
+};
+
+const DEFAULT_UNITS = { temp: 'C', wind: 'ms', pressure: 'hPa', distance: 'km' };
+
+const TITLES = { temp: 'Temperature unit', wind: 'Wind speed unit', pressure: 'Pressure unit', distance: 'Distance unit' };
+
+// Metric value → selected unit
+const CONVERT = {
+    temp: { C: c => c, F: c => c * 9 / 5 + 32 },
+    wind: { ms: v => v, kmh: v => v * 3.6, mph: v => v * 2.236936 },
+    pressure: { hPa: v => v, inHg: v => v * 0.02953 },
+    distance: { km: v => v, mi: v => v * 0.621371 }
+};
+
+// Decimal places shown per unit
+const PRECISION = { C: 0, F: 0, ms: 1, kmh: 0, mph: 0, hPa: 0, inHg: 2, km: 1, mi: 1 };
+
+export function loadUnits() {
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch { /* Private mode or corrupt value: use defaults */ }
+
+    const units = { ...DEFAULT_UNITS };
+    for (const kind of Object.keys(UNIT_OPTIONS)) {
+        if (UNIT_OPTIONS[kind].some(o => o.id === saved[kind])) units[kind] = saved[kind];
+    }
+    return units;
+}
+
+export function saveUnits(units) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(units));
+    } catch { /* Not persisted; still applies to this page */ }
+}
+
+// System the server uses for gear thresholds and AI wording; follows the temperature choice
+export function unitSystem(units) {
+    return units.temp === 'F' ? 'imperial' : 'metric';
+}
+
+export function unitLabel(kind, units) {
+    return UNIT_OPTIONS[kind].find(o => o.id === units[kind]).label;
+}
+
+// Converted and rounded for display, as a number
+export function convert(kind, value, units) {
+    const unit = units[kind];
+    const factor = 10 ** PRECISION[unit];
+    return Math.round(CONVERT[kind][unit](value) * factor) / factor;
+}
+
+// Temperature without the unit letter, e.g. "31°" (main card, planner)
+export function formatDegrees(celsius, units) {
+    return `${convert('temp', celsius, units)}°`;
+}
+
+// e.g. "31°C", "4.1 m/s", "29.92 inHg", "2.4 mi"
+export function format(kind, value, units) {
+    const label = unitLabel(kind, units);
+    const number = convert(kind, value, units).toFixed(PRECISION[units[kind]]);
+    return kind === 'temp' ? `${number}${label}` : `${number} ${label}`;
+}
+
+// ─── Unit Toggle ─────────────────────────────────────────────────────
+// One button per kind; each click moves to that kind's next unit, saves the
+// choice and calls onChange(units, previous).
+export function renderUnitToggle(container, units, onChange) {
+    if (!container) return;
+
+    const draw = () => {
+        container.innerHTML = Object.keys(UNIT_OPTIONS).map(kind => `
+            <button type="button" class="unit-btn" data-kind="${kind}" title="${TITLES[kind]}" aria-label="${TITLES[kind]}: ${unitLabel(kind, units)}">${unitLabel(kind, units)}</button>
+        `).join('');
+    };
+
+    container.addEventListener('click', (e) => {
+        const button = e.target.closest('.unit-btn');
+        if (!button) return;
+        const kind = button.dataset.kind;
+        const options = UNIT_OPTIONS[kind];
+        const next = options[(options.findIndex(o => o.id === units[kind]) + 1) % options.length];
+
+        const previous = { ...units };
+        units[kind] = next.id;
+        saveUnits(units);
+        draw();
+        onChange(units, previous);
+    });
+
+    draw();
+}
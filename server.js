@@ -3,16 +3,70 @@
 require('dotenv').config();
 const express = require('express');
 const path = require('path');
+const { createWeatherProvider } = require('./lib/providers');
+const { createCachedProvider, roundCoord } = require('./lib/providers/cached');
+const { createResponseCache } = require('./lib/cache');
+const { securityHeaders } = require('./lib/security');
+const { renderPrompt } = require('./lib/prompts');
+const { generateStructured } = require('./lib/structured');
+const { openSse } = require('./lib/sse');
+const { createAiCache } = require('./lib/ai-cache');
+const { createAiProvider } = require('./lib/ai');
+const { createUpstreamClient } = require('./lib/upstream');
+const { health, buildStatus } = require('./lib/status');
+const { createMetrics, httpMetrics } = require('./lib/metrics');
+const { logger, requestLogger } = require('./lib/logger');
+const { optionalAuth } = require('./lib/auth');
+const { createRateLimiter } = require('./lib/rate-limit');
+const { fetchPlaces, pagePlaces, parsePlacesOptions } = require('./lib/places');
+const { evaluateGear, recommendGear, gearOutlook } = require('./lib/gear');
+const { buildConditions } = require('./lib/conditions');
+const { rankPlaces, upcomingHours } = require('./lib/place-ranking');
+const { getUvIndex } = require('./lib/uv');
+const { gearSnapshot, unitSystem } = require('./lib/units');
+const { profileKey } = require('./lib/profile');
+const { ROUTES: API, buildOpenApi } = require('./lib/api-spec');
+const { validateRequest } = require('./lib/validation');
+const { ApiError, describeError, sendError, notFoundHandler, errorHandler } = require('./lib/errors');
+
+// Only files inside ./public are served; server code, fixtures and .env stay private
+const PUBLIC_DIR = path.join(__dirname, 'public');
 
 const app = express();
+app.disable('x-powered-by');
+app.use(requestLogger()); // X-Request-Id, plus one JSON log line per request (lib/logger.js)
+
+// ─── Metrics ─────────────────────────────────────────────────────────
+// Prometheus registry served at /metrics. Registered first so every request is counted.
+const metrics = createMetrics();
+app.use(httpMetrics(metrics));
+
+// Page loads, so upstream and AI usage can be divided per page view
+const PAGES = { '/': 'index', '/index.html': 'index', '/compare': 'compare', '/compare.html': 'compare' };
+const pageViews = metrics.counter('page_views_total', 'HTML page loads by page');
+app.use((req, res, next) => {
+  if (req.method === 'GET' && PAGES[req.path]) pageViews.inc({ page: PAGES[req.path] });
+  next();
+});
+
+// Behind a reverse proxy, set TRUST_PROXY (e.g. 1) so req.ip is the client address
+if (process.env.TRUST_PROXY) app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+app.use(securityHeaders({ authDomain: process.env.FIREBASE_AUTH_DOMAIN })); // CSP, nosniff, referrer policy
 app.use(express.json()); // Enable JSON body parsing for POST requests
-app.use(express.static(path.join(__dirname))); // Serve static frontend files (HTML, CSS, JS)
+app.use(express.static(PUBLIC_DIR)); // Serve static frontend files (HTML, CSS, JS)
+
+// ─── Upstream Client ─────────────────────────────────────────────────
+// Shared by OpenWeather, Overpass, AI provider and Firebase certificate calls:
+// timeouts, retries and a circuit breaker per service (see lib/upstream.js)
+const upstream = createUpstreamClient(undefined, { metrics });
 
-// ─── API Keys ────────────────────────────────────────────────────────
-// Securely loaded from process.env to prevent exposure in client-side code
-const GOOGLE_API_KEY = process.env.GOOGLE_API_KEY; // For general AI features (Travel Advisor, Compare)
-// const GOOGLE_AI_SUMMARY_KEY = process.env.GOOGLE_AI_SUMMARY_KEY; // REMOVED: Using single key
-const WEATHER_API_KEY = process.env.OPENWEATHER_API_KEY; // For OpenWeatherMap data
+// ─── Identity & Rate Limits ──────────────────────────────────────────
+// Signed-in users (verified Firebase ID token) are limited per account, guests per IP
+const auth = optionalAuth({ upstream }); // One certificate cache for both mounts
+app.use('/api', auth);
+app.use('/ai', auth);
+const rateLimiter = createRateLimiter();
+setInterval(() => rateLimiter.sweep(), 5 * 60 * 1000).unref();
 
 // ─── Firebase Configuration Endpoint ─────────────────────────────────
 // Sends Firebase config to client-side without hardcoding secrets in HTML/JS
@@ -28,383 +82,389 @@ app.get('/api/firebase-config', (req, res) => {
   });
 });
 
+// ─── Weather Provider ────────────────────────────────────────────────
+// All weather routes go through a provider selected by WEATHER_PROVIDER
+// ('openweather' by default, 'fixture' for offline development)
+// Responses are cached with per-route TTLs to save upstream quota
+const responseCache = createResponseCache();
+const weatherProvider = createCachedProvider(createWeatherProvider(undefined, { upstream }), responseCache);
+
+// Periodically drop entries that are too old even for stale fallback
+setInterval(() => responseCache.sweep(), 10 * 60 * 1000).unref();
+
 // ─── Weather Data Proxy ──────────────────────────────────────────────
-// Fetches current weather data from OpenWeatherMap
+// Fetches current weather data from the active provider
 // Hides API key from client by acting as a middleman
-app.get('/api/weather', async (req, res) => {
+app.get('/api/weather', rateLimiter.limit('weather'), validateRequest(API.weather), async (req, res) => {
   const { city, lat, lon } = req.query;
-  if (!WEATHER_API_KEY) return res.status(500).json({ error: 'Weather API key missing' });
-
-  let url = '';
-  // Construct URL based on either city name or coordinates
-  if (city) {
-    url = `https://api.openweathermap.org/data/2.5/weather?q=${encodeURIComponent(city)}&units=metric&appid=${WEATHER_API_KEY}`;
-  } else if (lat && lon) {
-    url = `https://api.openweathermap.org/data/2.5/weather?lat=${lat}&lon=${lon}&units=metric&appid=${WEATHER_API_KEY}`;
-  } else {
-    return res.status(400).json({ error: 'City or coordinates required' });
-  }
 
   try {
-    const response = await fetch(url);
-    const data = await response.json();
-    // Forward upstream status code if error
-    if (!response.ok) return res.status(response.status).json(data);
-    res.json(data);
+    res.json(await weatherProvider.currentWeather({ city, lat, lon }));
   } catch (e) {
-    res.status(500).json({ error: 'Weather API error' });
+    sendError(res, e);
   }
 });
 
 // ─── Forecast Proxy ──────────────────────────────────────────────────
 // Fetches 5-day forecast data
-app.get('/api/forecast', async (req, res) => {
+app.get('/api/forecast', rateLimiter.limit('forecast'), validateRequest(API.forecast), async (req, res) => {
   const { city } = req.query;
-  if (!city) return res.status(400).json({ error: 'City is required' });
-
-  const url = `https://api.openweathermap.org/data/2.5/forecast?q=${encodeURIComponent(city)}&units=metric&appid=${WEATHER_API_KEY}`;
 
   try {
-    const response = await fetch(url);
-    const data = await response.json();
-    if (!response.ok) return res.status(response.status).json(data);
-    res.json(data);
+    res.json(await weatherProvider.forecast({ city }));
   } catch (e) {
-    res.status(500).json({ error: 'Forecast API error' });
+    sendError(res, e);
   }
 });
 
 // ─── Air Quality Proxy ───────────────────────────────────────────────
 // Fetches AQI data based on coordinates
-app.get('/api/aqi', async (req, res) => {
+app.get('/api/aqi', rateLimiter.limit('aqi'), validateRequest(API.aqi), async (req, res) => {
   const { lat, lon } = req.query;
-  if (!lat || !lon) return res.status(400).json({ error: 'Coordinates required' });
-
-  const url = `https://api.openweathermap.org/data/2.5/air_pollution?lat=${lat}&lon=${lon}&appid=${WEATHER_API_KEY}`;
 
   try {
-    const response = await fetch(url);
-    const data = await response.json();
-    if (!response.ok) return res.status(response.status).json(data);
-    res.json(data);
+    res.json(await weatherProvider.airQuality({ lat, lon }));
   } catch (e) {
-    res.status(500).json({ error: 'AQI API error' });
+    sendError(res, e);
   }
 });
 
 // ─── City Search Proxy ───────────────────────────────────────────────
 // Provides city suggestions (geocoding) for autocomplete
-app.get('/api/search', async (req, res) => {
+app.get('/api/search', rateLimiter.limit('search'), validateRequest(API.search), async (req, res) => {
   const { q } = req.query;
-  if (!q) return res.status(400).json({ error: 'Query required' });
-
-  const url = `http://api.openweathermap.org/geo/1.0/direct?q=${encodeURIComponent(q)}&limit=5&appid=${WEATHER_API_KEY}`;
 
   try {
-    const response = await fetch(url);
-    const data = await response.json();
-    if (!response.ok) return res.status(response.status).json(data);
-    res.json(data);
+    res.json(await weatherProvider.searchCities(q));
   } catch (e) {
-    res.status(500).json({ error: 'Search API error' });
+    sendError(res, e);
   }
 });
 
 // ─── UV Index Proxy ──────────────────────────────────────────────────
-// Fetches UV index (tries OneCall 3.0, falls back if needed)
-app.get('/api/uv', async (req, res) => {
+// Returns { uvi, source, estimated }: measured (OneCall 3.0) when the key allows it,
+// otherwise estimated from solar elevation and current cloud cover
+app.get('/api/uv', rateLimiter.limit('uv'), validateRequest(API.uv), async (req, res) => {
   const { lat, lon } = req.query;
-  if (!lat || !lon) return res.status(400).json({ error: 'Coords required' });
-
-  // Using OneCall API to get UV data
-  const url = `https://api.openweathermap.org/data/2.5/onecall?lat=${lat}&lon=${lon}&exclude=minutely,hourly,daily,alerts&units=metric&appid=${WEATHER_API_KEY}`;
 
   try {
-    const response = await fetch(url);
-    const data = await response.json();
-    if (!response.ok) {
-      return res.status(response.status).json(data);
-    }
-    res.json(data);
+    res.json(await getUvIndex(weatherProvider, { lat, lon }));
   } catch (e) {
-    res.status(500).json({ error: 'UV API error' });
+    sendError(res, e);
   }
 });
 
-// ─── Overpass API Helper (Tourism Data) ──────────────────────────────
-// Fetches nearby tourist attractions (museums, parks, castles) using OpenStreetMap data via Overpass API
-async function fetchAttributes(lat, lon) {
-  // Query looks for nodes/ways tagged with tourism, historic, or leisure within 10km
-  const query = `
-    [out:json][timeout:25];
-    (
-      node["tourism"~"attraction|museum|viewpoint|gallery|theme_park|zoo"](around:10000,${lat},${lon});
-      way["tourism"~"attraction|museum|viewpoint|gallery|theme_park|zoo"](around:10000,${lat},${lon});
-      node["historic"~"monument|castle|ruins"](around:10000,${lat},${lon});
-      way["historic"~"monument|castle|ruins"](around:10000,${lat},${lon});
-      node["leisure"="park"](around:10000,${lat},${lon});
-    );
-    out center 15;
-    `;
+// ─── Places Cache ────────────────────────────────────────────────────
+// Overpass results per rounded location, radius and category set.
+// Pages are sliced from the cached list, so paging never re-queries Overpass.
+const PLACES_TTL = 60 * 60 * 1000; // 1 hour — points of interest rarely change
 
-  try {
-    const response = await fetch('https://overpass-api.de/api/interpreter', {
-      method: 'POST',
-      body: query
-    });
-
-    if (!response.ok) throw new Error('Overpass API failed');
-    const data = await response.json();
-
-    // Process and filter results to return clean objects
-    return data.elements.map(el => {
-      const t = el.tags || {};
-      const name = t.name || t.description || 'Unknown Landmark';
-      const typeRaw = t.tourism || t.historic || t.leisure || 'attraction';
-
-      let type = 'outdoor';
-      if (typeRaw.includes('museum') || typeRaw.includes('gallery') || typeRaw.includes('theatre')) type = 'indoor';
-
-      const pLat = el.lat || (el.center && el.center.lat);
-      const pLon = el.lon || (el.center && el.center.lon);
-
-      // Calculate distance from user's city center
-      let dist = 0;
-      if (pLat && pLon) {
-        dist = getDistanceFromLatLonInKm(lat, lon, pLat, pLon);
-      }
-
-      return {
-        name: name,
-        type: type,
-        desc: capitalize(typeRaw.replace(/_/g, ' ')),
-        dist: dist ? dist.toFixed(1) : null
-      };
-    }).filter(p => p.name !== 'Unknown Landmark').slice(0, 6); // Limit to 6 results
-  } catch (e) {
-    console.error('Overpass Error:', e.message);
-    return [];
-  }
-}
-
-// ─── Helper: Haversine Distance Calculation ──────────────────────────
-function getDistanceFromLatLonInKm(lat1, lon1, lat2, lon2) {
-  const R = 6371; // Radius of the earth in km
-  const dLat = deg2rad(lat2 - lat1);
-  const dLon = deg2rad(lon2 - lon1);
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos(deg2rad(lat1)) * Math.cos(deg2rad(lat2)) *
-    Math.sin(dLon / 2) * Math.sin(dLon / 2)
-    ;
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  const d = R * c; // Distance in km
-  return d;
-}
-
-function deg2rad(deg) {
-  return deg * (Math.PI / 180)
+function loadPlaces(lat, lon, { categories, radius }) {
+  const rLat = roundCoord(lat);
+  const rLon = roundCoord(lon);
+  const key = `places:${rLat},${rLon}:${radius}:${categories.join(',')}`;
+  return responseCache.wrap(key, PLACES_TTL, () => fetchPlaces(rLat, rLon, { categories, radius, upstream }));
 }
 
-function capitalize(s) {
-  if (!s) return '';
-  return s.charAt(0).toUpperCase() + s.slice(1);
-}
-
-// ─── AI Integration (Gemini 2.0 Flash) ───────────────────────────────
-
-// Helper to call Google Gemini API
-async function callGemini(prompt, apiKey = GOOGLE_API_KEY) {
-  // Graceful fail if no key is present or is a placeholder
-  if (!apiKey || apiKey.startsWith('PLACEHOLDER')) {
-    throw new Error('AI features disabled (No API Key)');
-  }
-
-  const url = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${apiKey}`;
-
-  const response = await fetch(url, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      contents: [{ parts: [{ text: prompt }] }]
-    })
-  });
-
-  const data = await response.json();
-  if (!response.ok) {
-    throw new Error(data.error?.message || 'Gemini API Error');
-  }
-
-  // Extract text from Gemini response structure
-  return data.candidates?.[0]?.content?.parts?.[0]?.text || 'No content generated';
+// Default categories and radius, as shown on the main page (ranked and paged by buildConditions)
+function fetchAttractions(lat, lon) {
+  return loadPlaces(lat, lon, parsePlacesOptions().value);
 }
 
-// Endpoint: AI Weather Summary
-// Uses dedicated GOOGLE_AI_SUMMARY_KEY
-app.post('/ai', async (req, res) => {
-  const prompt = req.body.prompt;
-  if (!prompt) return res.status(400).json({ error: 'Missing prompt' });
+// ─── Aggregated Conditions ───────────────────────────────────────────
+// One round trip for the main page: weather, forecast, AQI, UV and places.
+// Sections that fail upstream come back as { data: null, error } (partial result).
+app.get('/api/conditions', rateLimiter.limit('conditions'), validateRequest(API.conditions), async (req, res) => {
+  const { city, lat, lon, units, profile } = req.query;
 
   try {
-    // Use the main API key for summaries
-    const text = await callGemini(prompt);
-    res.json({ reply: text });
+    res.json(await buildConditions({ weatherProvider, fetchAttractions }, { city, lat, lon, units, profile }));
   } catch (e) {
-    console.error('AI Error:', e.message);
-    res.status(500).json({ error: String(e.message) });
+    sendError(res, e);
   }
 });
 
-// ─── AI Response Cache (In-Memory) ───────────────────────────────────
-// Caches AI responses for 15 minutes to save API quota and speed up repeated requests
-const aiCache = new Map();
-const CACHE_TTL = 15 * 60 * 1000; // 15 minutes in milliseconds
-
-function getCached(key) {
-  const entry = aiCache.get(key);
-  if (!entry) return null;
-  // Expire cache if older than TTL
-  if (Date.now() - entry.ts > CACHE_TTL) {
-    aiCache.delete(key);
-    return null;
+// ─── AI Provider ─────────────────────────────────────────────────────
+// Text generation backend selected by AI_PROVIDER ('gemini' by default,
+// 'openai' for any OpenAI-compatible server, 'template' for rule-based
+// answers without a model). See lib/ai/.
+
+// Prompt and answer sizes plus billed tokens per successful call, for /metrics
+const SIZE_BUCKETS = [256, 512, 1024, 2048, 4096, 8192, 16384, 32768];
+const aiPromptBytes = metrics.histogram('ai_prompt_bytes', 'Prompt size per AI model call', SIZE_BUCKETS);
+const aiResponseBytes = metrics.histogram('ai_response_bytes', 'Generated text size per AI model call', SIZE_BUCKETS);
+const aiTokens = metrics.counter('ai_tokens_total', 'Tokens billed by the AI provider, as reported in its usage data');
+
+const ai = createAiProvider(undefined, {
+  upstream,
+  onUsage({ mode, prompt, text, promptTokens, responseTokens }) {
+    const provider = ai.name;
+    aiPromptBytes.observe({ provider, mode }, Buffer.byteLength(prompt));
+    aiResponseBytes.observe({ provider, mode }, Buffer.byteLength(text));
+    if (promptTokens) aiTokens.inc({ provider, mode, kind: 'prompt' }, promptTokens);
+    if (responseTokens) aiTokens.inc({ provider, mode, kind: 'response' }, responseTokens);
   }
-  return entry.data;
-}
+});
 
-function setCache(key, data) {
-  aiCache.set(key, { data, ts: Date.now() });
+// ─── AI Response Cache ───────────────────────────────────────────────
+// Bounded LRU that saves AI quota and speeds up repeated requests.
+// Set AI_CACHE_FILE to keep answers on disk across restarts and redeploys.
+const AI_TTL = 15 * 60 * 1000; // Summaries: 15 minutes
+const AI_ADVICE_TTL = 3 * 60 * 60 * 1000; // Travel advice & verdicts: 3 hours (keys include conditions)
+const aiCache = createAiCache({
+  ttl: AI_TTL,
+  maxEntries: Number(process.env.AI_CACHE_MAX_ENTRIES) || undefined,
+  file: process.env.AI_CACHE_FILE || null
+});
+setInterval(() => aiCache.sweep(), 10 * 60 * 1000).unref();
+
+// Cache key fragment for the weather an answer was written for.
+// Temperatures are banded to 5°C so small fluctuations still hit the cache.
+function conditionsKey({ condition, temp, aqi, airQuality }) {
+  const band = typeof temp === 'number' ? Math.round(temp / 5) * 5 : '';
+  return [(condition || '').toLowerCase(), band, aqi ?? airQuality ?? ''].join('|');
 }
 
-// ─── AI Travel Advisor Endpoint ──────────────────────────────────────
-// Generates a structured travel guide based on current weather
-app.post('/api/travel-advice', async (req, res) => {
-  const { city, temp, humidity, wind, condition, airQuality } = req.body;
-  if (!city) return res.status(400).json({ error: 'City is required' });
+// ─── AI Request Runners ──────────────────────────────────────────────
+// Every AI feature first turns the request body into a job:
+//   { prompt, template, params, schema, cacheKey, ttl? } or { errors }
+// and is then served either as one-shot JSON or as a Server-Sent Events stream.
 
-  // Check cache first
-  const cacheKey = `travel_${city.toLowerCase()}`;
-  const cached = getCached(cacheKey);
-  if (cached) return res.json({ advice: cached });
+// Cache lookup → model call (validated when the job has a schema) → cache store
+async function runAiJob(job) {
+  const cached = aiCache.get(job.cacheKey);
+  if (cached) return cached;
+  return generateAiJob(job, ai.generate);
+}
 
-  const aqiMap = { 1: 'Good', 2: 'Fair', 3: 'Moderate', 4: 'Poor', 5: 'Very Poor' };
-  const aqiLabel = aqiMap[airQuality] || 'Unknown';
+// Model call and cache store, for callers that already missed the cache.
+// `call(request, options)` is ai.generate or ai.stream; structured retries
+// re-prompt, so each attempt sends the job with that attempt's prompt.
+async function generateAiJob(job, call) {
+  const { prompt, schema, cacheKey, ttl } = job;
+  const generate = (text, options) => call({ ...job, prompt: text }, options);
+  const result = schema ? await generateStructured({ prompt, schema, generate }) : await generate(prompt);
+  aiCache.set(cacheKey, result, ttl);
+  return result;
+}
 
-  // Structured prompt to enforce specific output format for easier client-side parsing
-  const prompt = `For the city "${city}" (currently ${temp}°C, ${condition}, AQI: ${aqiLabel}), give me a SHORT travel guide in this exact format:
+// One-shot handler: responds with { [resultKey]: result }
+function aiJsonHandler(prepare, { resultKey, label, invalidMessage }) {
+  return async (req, res) => {
+    const job = prepare(req.body || {});
+    if (job.errors) return sendError(res, new ApiError('INVALID_REQUEST', invalidMessage, { details: job.errors }));
+
+    try {
+      res.json({ [resultKey]: await runAiJob(job) });
+    } catch (e) {
+      logger.error(`${label} failed`, { error: e });
+      sendError(res, e);
+    }
+  };
+}
 
-PLACES:
-1. [Place Name] - [One line why to visit, max 12 words]
-2. [Place Name] - [One line why to visit, max 12 words]
-3. [Place Name] - [One line why to visit, max 12 words]
-4. [Place Name] - [One line why to visit, max 12 words]
-5. [Place Name] - [One line why to visit, max 12 words]
+// Streaming handler. Events:
+//   token  { text }                 → model output as it arrives
+//   reset  {}                       → discard tokens so far (structured output retry)
+//   result { [resultKey], cached }  → final (validated) result, then the stream ends
+//   error  { error: { code, message, retryable, upstream } }
+// Cache hits are replayed through the same token/result events.
+function aiStreamHandler(prepare, { resultKey, label, invalidMessage }) {
+  return async (req, res) => {
+    const job = prepare(req.body || {});
+    if (job.errors) return sendError(res, new ApiError('INVALID_REQUEST', invalidMessage, { details: job.errors }));
+
+    const sse = openSse(res);
+    try {
+      const cached = aiCache.get(job.cacheKey);
+      let result = cached;
+      if (cached) {
+        sse.replay(typeof cached === 'string' ? cached : JSON.stringify(cached));
+      } else {
+        let attempts = 0;
+        const stream = (request, options) => {
+          if (attempts++) sse.send('reset', {});
+          return ai.stream(request, { ...options, signal: sse.signal, onToken: text => sse.send('token', { text }) });
+        };
+        result = await generateAiJob(job, stream);
+      }
+      sse.send('result', { [resultKey]: result, cached: Boolean(cached) });
+    } catch (e) {
+      if (!sse.signal.aborted) logger.error(`${label} failed`, { error: e });
+      sse.send('error', { error: describeError(e) });
+    }
+    sse.close();
+  };
+}
 
-NEARBY:
-1. [Destination] - [Distance, one line description]
-2. [Destination] - [Distance, one line description]
+// ─── AI Job Builders ─────────────────────────────────────────────────
+// Cache keys start with the provider name, so switching AI_PROVIDER never
+// serves answers written by another backend (e.g. from AI_CACHE_FILE).
 
-WEAR: [One short sentence about what to wear today]
+// Template request: { template: 'summary', params: { city, temp, condition, humidity } }
+function prepareTemplate({ template, params }) {
+  if (!template) return { errors: ['template is required'] };
+  const job = renderPrompt(template, params);
+  if (job.errors) return job;
+  return { ...job, cacheKey: `${ai.name}:ai_${template}_${JSON.stringify(job.params).toLowerCase()}` };
+}
 
-EAT: [One famous local dish to try and where]
+function prepareTravelAdvice(body) {
+  const job = renderPrompt('travelAdvice', body);
+  if (job.errors) return job;
+  const { params } = job;
+  return { ...job, ttl: AI_ADVICE_TTL, cacheKey: `${ai.name}:travel_${params.city.toLowerCase()}_${unitSystem(params.units)}_${profileKey(params.profile)}_${conditionsKey(params)}` };
+}
 
-ALERT: [One health/safety tip based on current weather, or "None" if conditions are pleasant]
+function prepareCompareVerdict(body) {
+  const job = renderPrompt('compareVerdict', body);
+  if (job.errors) return job;
+  const { cityA, cityB, units, profile } = job.params;
+  return {
+    ...job,
+    ttl: AI_ADVICE_TTL,
+    cacheKey: `${ai.name}:compare_${unitSystem(units)}_${profileKey(profile)}_${cityA.name.toLowerCase()}_${conditionsKey(cityA)}_${cityB.name.toLowerCase()}_${conditionsKey(cityB)}`
+  };
+}
 
-Keep every answer ultra-short. No markdown formatting. No asterisks.`;
+// ─── AI Template Endpoint (e.g. Weather Summary) ─────────────────────
+// Accepts a template ID plus typed params; the prompt itself is owned by the server
+// Body: { template: 'summary', params: { city, temp, condition, humidity } } → { reply }
+const summaryRoute = { resultKey: 'reply', label: 'AI', invalidMessage: 'Invalid template parameters' };
+app.post('/ai', rateLimiter.limit('summary'), validateRequest(API.summary), aiJsonHandler(prepareTemplate, summaryRoute));
+app.post('/ai/stream', rateLimiter.limit('summary'), validateRequest(API.summaryStream), aiStreamHandler(prepareTemplate, summaryRoute));
 
-  try {
-    const text = await callGemini(prompt);
-    setCache(cacheKey, text); // Cache the result
-    res.json({ advice: text });
-  } catch (e) {
-    console.error('Travel Advice Error:', e.message);
-    res.status(500).json({ error: String(e.message) });
-  }
-});
+// ─── AI Travel Advisor Endpoint ──────────────────────────────────────
+// Generates a structured travel guide based on current weather, fitted to the
+// reader's comfort profile when one is sent (cached per profile)
+// Response: { advice: { places[], nearby[], wear, eat, alert } }
+const travelRoute = { resultKey: 'advice', label: 'Travel Advice', invalidMessage: 'Invalid travel advice request' };
+app.post('/api/travel-advice', rateLimiter.limit('travelAdvice'), validateRequest(API.travelAdvice), aiJsonHandler(prepareTravelAdvice, travelRoute));
+app.post('/api/travel-advice/stream', rateLimiter.limit('travelAdvice'), validateRequest(API.travelAdviceStream), aiStreamHandler(prepareTravelAdvice, travelRoute));
 
 // ─── AI Compare Verdict Endpoint ─────────────────────────────────────
 // Compares two cities and renders a verdict
-app.post('/api/compare-verdict', async (req, res) => {
-  const { cityA, cityB } = req.body;
-  if (!cityA || !cityB) return res.status(400).json({ error: 'Both cities required' });
-
-  const cacheKey = `compare_${cityA.name.toLowerCase()}_${cityB.name.toLowerCase()}`;
-  const cached = getCached(cacheKey);
-  if (cached) return res.json({ verdict: cached });
-
-  const aqiMap = { 1: 'Good', 2: 'Fair', 3: 'Moderate', 4: 'Poor', 5: 'Very Poor' };
-
-  const prompt = `You are a travel decision assistant. Compare the following two cities based on weather, comfort, air quality, and travel suitability. Then clearly recommend which city is better to visit today and why.
-
-City A: ${cityA.name}
-- Temperature: ${cityA.temp}°C, Humidity: ${cityA.humidity}%, Wind: ${cityA.wind} m/s
-- Condition: ${cityA.condition}
-- Air Quality: ${aqiMap[cityA.aqi] || 'Unknown'} (Index: ${cityA.aqi || 'N/A'})
-
-City B: ${cityB.name}
-- Temperature: ${cityB.temp}°C, Humidity: ${cityB.humidity}%, Wind: ${cityB.wind} m/s
-- Condition: ${cityB.condition}
-- Air Quality: ${aqiMap[cityB.aqi] || 'Unknown'} (Index: ${cityB.aqi || 'N/A'})
-
-Provide:
-1. Short comparison summary (2-3 sentences)
-2. Winner city for travel today
-3. One-line reason why
-
-Format your response as:
-COMPARISON: [your comparison summary]
-WINNER: [city name]
-REASON: [one-line reason]`;
+// Response: { verdict: { comparison, winner, reason } }
+const verdictRoute = { resultKey: 'verdict', label: 'Compare Verdict', invalidMessage: 'Invalid compare request' };
+app.post('/api/compare-verdict', rateLimiter.limit('compareVerdict'), validateRequest(API.compareVerdict), aiJsonHandler(prepareCompareVerdict, verdictRoute));
+app.post('/api/compare-verdict/stream', rateLimiter.limit('compareVerdict'), validateRequest(API.compareVerdictStream), aiStreamHandler(prepareCompareVerdict, verdictRoute));
 
+// ─── Curated Places & Essentials Endpoint ────────────────────────────
+// Combines Overpass API data (attractions) with rule-based gear recommendations.
+// Places are ranked for the current weather and the next few forecast hours.
+// Body: { lat, lon, temp?, feelsLike?, humidity?, condition?, aqi?, uv?, wind?, units?, profile?, categories?, radius?, limit?, page? }
+// Weather values are metric; `units` picks the system for gear thresholds and
+// `profile` personalizes them (lib/profile.js).
+// Response: { places[{ ..., reason }], paging: { page, limit, total, hasMore }, gear[] }
+app.post('/api/places', rateLimiter.limit('places'), validateRequest(API.places), async (req, res) => {
+  const { lat, lon, temp, feelsLike, humidity, condition, aqi, uv, wind, units, profile, categories, radius, limit, page } = req.body;
+  const options = parsePlacesOptions({ categories, radius, limit, page });
+  if (options.errors) return sendError(res, new ApiError('INVALID_REQUEST', 'Invalid places request', { details: options.errors }));
+
+  // The forecast only sharpens ranking and gear, so a failure just drops the lookahead
+  const forecast = await weatherProvider.forecast({ lat, lon }).catch(() => null);
+
+  let result = pagePlaces([], options.value);
   try {
-    const text = await callGemini(prompt);
-    setCache(cacheKey, text);
-    res.json({ verdict: text });
+    const places = await loadPlaces(lat, lon, options.value); // Fetch from Overpass (cached)
+    const ranked = rankPlaces(places, {
+      weather: { temp, condition, aqi, uv, wind },
+      upcoming: upcomingHours(forecast)
+    });
+    result = pagePlaces(ranked, options.value);
   } catch (e) {
-    console.error('Compare Verdict Error:', e.message);
-    res.status(500).json({ error: String(e.message) });
+    logger.warn('Places unavailable, answering with gear only', { error: e }); // Degrade to gear-only response
   }
-});
 
-// ─── Curated Places & Essentials Endpoint ────────────────────────────
-// Combines Overpass API data (attractions) with rule-based gear recommendations
-app.post('/api/places', async (req, res) => {
-  const { city, lat, lon, temp, condition, aqi, uv } = req.body;
+  // Rule-based, no AI needed
+  const timezone = forecast && forecast.city ? forecast.city.timezone : 0;
+  const snapshot = gearSnapshot({ temp, feelsLike, humidity, wind, condition, aqi, uv }, units);
+  const gear = recommendGear({ ...snapshot, ...gearOutlook(forecast, { timezone, units: snapshot.units }) }, profile);
 
-  let places = [];
-  if (lat && lon) {
-    places = await fetchAttributes(lat, lon); // Fetch from Overpass
-  }
+  const { places, ...paging } = result;
+  res.json({ places, paging, gear });
+});
 
-  // Rule-based Gear Logic (No AI needed, fast and reliable)
-  const gear = [];
+// ─── Gear Rule Evaluation ────────────────────────────────────────────
+// Runs the gear rules against a weather snapshot and explains every rule,
+// so rule changes can be checked without real weather.
+// Body: { units?, temp, feelsLike?, humidity?, wind?, aqi?, uv?, condition?, pop?, precip?, profile? }
+// Response: { units, gear[], trace[{ id, item, priority, matched, suppressedBy? }] }
+app.post('/api/gear/evaluate', rateLimiter.limit('gear'), validateRequest(API.gearEvaluate), (req, res) => {
+  const { profile, ...snapshot } = req.body;
+  res.json(evaluateGear(snapshot, { profile }));
+});
 
-  if (uv && uv > 5) {
-    gear.push({ item: 'Sunscreen', reason: 'High UV index' });
-    gear.push({ item: 'Hat/Sunglasses', reason: 'Sun protection' });
-  }
+// ─── Health & Status ─────────────────────────────────────────────────
+// Liveness and readiness probes; not rate limited and never cached.
+// /api/status answers 503 while weather data cannot be served.
+app.get('/api/health', (req, res) => {
+  res.set('Cache-Control', 'no-store').json(health());
+});
 
-  const cond = (condition || '').toLowerCase();
-  if (cond.includes('rain') || cond.includes('drizzle') || cond.includes('thunder')) {
-    gear.push({ item: 'Umbrella', reason: 'Rain expected' });
-  }
-  if (cond.includes('snow')) {
-    gear.push({ item: 'Boots', reason: 'Snowy conditions' });
-  }
+app.get('/api/status', (req, res) => {
+  const status = buildStatus({ weatherProvider, ai, upstream, responseCache, aiCache });
+  res.set('Cache-Control', 'no-store').status(status.ready ? 200 : 503).json(status);
+});
 
-  if (temp < 15) gear.push({ item: 'Coat/Jacket', reason: 'Chilly temperatures' });
-  else if (temp > 30) gear.push({ item: 'Water Bottle', reason: 'Stay hydrated in heat' });
+// ─── Metrics Endpoint ────────────────────────────────────────────────
+// Prometheus text format. Cache counters are read from the caches at scrape time.
+metrics.collected('ai_cache_lookups_total', 'AI cache lookups by result', () => {
+  const { hits, misses } = aiCache.stats();
+  return [[{ result: 'hit' }, hits], [{ result: 'miss' }, misses]];
+});
+metrics.gauge('ai_cache_hit_ratio', 'Share of AI cache lookups answered from cache since start', () => {
+  const { hits, misses } = aiCache.stats();
+  return [[{}, hits + misses ? hits / (hits + misses) : 0]];
+});
+metrics.gauge('ai_cache_entries', 'Entries in the AI cache', () => [[{}, aiCache.size]]);
+metrics.collected('response_cache_events_total', 'Weather and places response cache events', () => {
+  const stats = responseCache.stats();
+  return ['hits', 'misses', 'stale', 'coalesced'].map(event => [{ event }, stats[event]]);
+});
+metrics.gauge('response_cache_entries', 'Entries in the weather and places response cache', () => [[{}, responseCache.size]]);
 
-  // If no specific gear found, add generic recommendation
-  if (gear.length === 0) gear.push({ item: 'Comfortable Shoes', reason: 'Good for walking' });
+app.get('/metrics', (req, res) => {
+  res.set('Cache-Control', 'no-store').type('text/plain; version=0.0.4').send(metrics.render());
+});
 
-  res.json({ places, gear });
+// ─── OpenAPI Contract ────────────────────────────────────────────────
+// Generated from lib/api-spec.js, the same schemas the routes validate against
+const openApiDocument = buildOpenApi();
+app.get('/api/openapi.json', (req, res) => {
+  res.json(openApiDocument);
 });
 
 // ─── Compare Page Route ──────────────────────────────────────────────
 // Serves the dedicated comparison HTML page
 app.get('/compare', (req, res) => {
-  res.sendFile(path.join(__dirname, 'compare.html'));
+  res.sendFile(path.join(PUBLIC_DIR, 'compare.html'));
 });
 
+// ─── Error Fallbacks ─────────────────────────────────────────────────
+// Unknown API routes and middleware errors (e.g. malformed JSON) use the shared error envelope
+app.use(['/api', '/ai'], notFoundHandler);
+app.use(errorHandler);
+
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => console.log(`Climago server running on http://localhost:${PORT}`));
+const server = app.listen(PORT, () => logger.info(`Climago server running on http://localhost:${PORT}`, { port: Number(PORT) }));
+
+// ─── Shutdown ────────────────────────────────────────────────────────
+// SIGTERM (redeploys, container stops) and SIGINT (Ctrl+C): write pending AI
+// cache entries at once, stop taking connections, then write again for
+// answers finished by requests that were still running. Open AI streams get
+// a short grace period before the process exits anyway.
+const SHUTDOWN_GRACE_MS = 10000;
+function shutdown(signal) {
+  logger.info('Shutting down', { signal });
+  aiCache.flush();
+  const exit = () => {
+    aiCache.flush();
+    process.exit(0);
+  };
+  server.close(exit);
+  server.closeIdleConnections();
+  setTimeout(exit, SHUTDOWN_GRACE_MS).unref();
+}
+process.once('SIGTERM', shutdown);
+process.once('SIGINT', shutdown);
@@ -0,0 +1,117 @@
+// Gear rules engine (lib/gear.js) against the shipped rule set (lib/gear-rules.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { evaluateGear, recommendGear, gearOutlook, adjustThreshold, personalizeRules } = require('../lib/gear');
+const { GEAR_RULES } = require('../lib/gear-rules');
+const { profileShifts } = require('../lib/profile');
+
+const items = result => result.gear.map(g => g.item);
+const traceFor = (result, id) => result.trace.find(entry => entry.id === id);
+
+// ─── Rule Matching ───────────────────────────────────────────────────
+
+test('rain brings an umbrella and chilly air a jacket', () => {
+  assert.deepEqual(items(evaluateGear({ temp: 12, condition: 'Light Rain' })), ['Umbrella', 'Coat/Jacket']);
+});
+
+test('thresholds follow the snapshot unit system', () => {
+  assert.deepEqual(items(evaluateGear({ units: 'metric', temp: 14 })), ['Coat/Jacket']);
+  assert.deepEqual(items(evaluateGear({ units: 'imperial', temp: 57 })), ['Coat/Jacket']);
+  assert.deepEqual(items(evaluateGear({ units: 'imperial', temp: 60 })), ['Comfortable Shoes']);
+});
+
+test('any-clauses pass when one option does', () => {
+  assert.deepEqual(items(evaluateGear({ temp: 20, pop: 0.6 })), ['Umbrella']);
+  assert.deepEqual(items(evaluateGear({ temp: 20, precip: 1.5 })), ['Umbrella']);
+});
+
+test('missing snapshot data never triggers a rule', () => {
+  const result = evaluateGear({ temp: 20 });
+  assert.equal(traceFor(result, 'mask-poor-aqi').matched, false);
+  assert.equal(traceFor(result, 'sunscreen').matched, false);
+});
+
+test('feels-like defaults to the air temperature', () => {
+  assert.deepEqual(items(evaluateGear({ temp: 2 })), ['Warm Coat']);
+});
+
+test('an unknown operator is reported', () => {
+  const rules = [{ id: 'odd', item: 'Odd', reason: '', priority: 1, when: { temp: { near: 3 } } }];
+  assert.throws(() => evaluateGear({ temp: 3 }, { rules }), /Unknown gear rule operator: near/);
+});
+
+// ─── Trace ───────────────────────────────────────────────────────────
+
+test('the trace lists every rule by priority with its outcome', () => {
+  const result = evaluateGear({ temp: 2, wind: 10, condition: 'clear' });
+  assert.equal(result.trace.length, GEAR_RULES.length);
+  const priorities = result.trace.map(entry => entry.priority);
+  assert.deepEqual(priorities, [...priorities].sort((a, b) => b - a));
+
+  // One outer layer: the warm coat wins, the jacket and windbreaker are suppressed by it
+  assert.deepEqual(items(result), ['Warm Coat']);
+  assert.deepEqual(traceFor(result, 'jacket'), { id: 'jacket', item: 'Coat/Jacket', priority: 70, matched: true, suppressedBy: 'warm-coat' });
+  assert.equal(traceFor(result, 'windbreaker').suppressedBy, 'warm-coat');
+});
+
+test('a duplicate item is suppressed by the higher-priority rule', () => {
+  const result = evaluateGear({ temp: 20, condition: 'rain', pop: 0.9 });
+  assert.deepEqual(items(result), ['Umbrella']);
+  assert.equal(traceFor(result, 'umbrella-later').suppressedBy, 'umbrella-now');
+});
+
+test('the fallback only applies when nothing specific matched', () => {
+  assert.deepEqual(items(evaluateGear({ temp: 21, condition: 'clear' })), ['Comfortable Shoes']);
+  const result = evaluateGear({ temp: 21, uv: 7 });
+  assert.equal(traceFor(result, 'comfortable-shoes').suppressedBy, 'specific gear');
+});
+
+// ─── Comfort Profile Shifts ──────────────────────────────────────────
+
+test('adjustThreshold shifts metric values and converts the shift for imperial ones', () => {
+  assert.equal(adjustThreshold(4, 'aqi', -1), 3);
+  assert.deepEqual(adjustThreshold({ metric: 15, imperial: 59 }, 'feelsLike', 5), { metric: 20, imperial: 68 });
+  assert.deepEqual(adjustThreshold({ metric: 8, imperial: 18 }, 'wind', -2.5), { metric: 5.5, imperial: 12.4 });
+  assert.equal(adjustThreshold('rain', 'condition', 3), 'rain');
+});
+
+test('profile shifts follow the documented formulas', () => {
+  assert.ok(Object.values(profileShifts(undefined)).every(shift => shift === 0));
+  assert.deepEqual(
+    profileShifts({ tempMin: 20, tempMax: 24, heat: 'high', cold: 'low', humidity: 'high', wind: 'low', aqi: 'high' }),
+    { heat: -5, cold: -1, humidity: -10, wind: 2.5, aqi: -1 }
+  );
+});
+
+test('the default profile leaves the rules untouched', () => {
+  assert.equal(personalizeRules(GEAR_RULES, {}), GEAR_RULES);
+  assert.equal(personalizeRules(GEAR_RULES, { heat: 'normal' }), GEAR_RULES);
+});
+
+test('a sensitive profile brings gear sooner', () => {
+  const snapshot = { temp: 16, aqi: 3, wind: 6 };
+  assert.deepEqual(recommendGear(snapshot), ['Comfortable Shoes'].map(item => ({ item, reason: 'Good for walking' })));
+
+  const gear = recommendGear(snapshot, { aqi: 'high', cold: 'high' }).map(g => g.item);
+  assert.deepEqual(gear, ['N95 Mask', 'Coat/Jacket']);
+  assert.deepEqual(recommendGear({ temp: 20, wind: 6 }, { wind: 'high' }).map(g => g.item), ['Windbreaker']);
+});
+
+test('a tolerant profile holds gear back', () => {
+  assert.deepEqual(recommendGear({ temp: 14 }, { tempMin: 12, cold: 'low' }).map(g => g.item), ['Comfortable Shoes']);
+});
+
+// ─── Forecast Outlook ────────────────────────────────────────────────
+
+test('gearOutlook sums the rest of the local day', () => {
+  const now = Date.UTC(2026, 0, 1, 12);
+  const at = hour => Math.floor(Date.UTC(2026, 0, 1, hour) / 1000);
+  const forecast = { list: [
+    { dt: at(15), pop: 0.2, rain: { '3h': 1.2 } },
+    { dt: at(21), pop: 0.7, rain: { '3h': 2 } },
+    { dt: at(27), pop: 1, rain: { '3h': 9 } } // Tomorrow
+  ] };
+  assert.deepEqual(gearOutlook(forecast, { now }), { pop: 0.7, precip: 3.2 });
+  assert.deepEqual(gearOutlook(forecast, { now, units: 'imperial' }), { pop: 0.7, precip: 0.13 });
+  assert.deepEqual(gearOutlook(null), {});
+});
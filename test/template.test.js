@@ -0,0 +1,114 @@
+// Template AI provider (lib/ai/template.js) and the params it is handed
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTemplateProvider } = require('../lib/ai/template');
+const { templates, validateParams, renderPrompt } = require('../lib/prompts');
+const { normalizeProfile, profileShifts } = require('../lib/profile');
+const { ROUTES } = require('../lib/api-spec');
+const { validate } = require('../lib/schema');
+
+const provider = createTemplateProvider();
+
+async function advice(params) {
+  const { value, errors } = validateParams(templates.travelAdvice.params, params);
+  assert.deepEqual(errors, []);
+  return JSON.parse(await provider.generate({ template: 'travelAdvice', params: value }));
+}
+
+// ─── Air Quality Params ──────────────────────────────────────────────
+
+test('a fractional AQI is rejected before it reaches a provider', () => {
+  const body = { city: 'Delhi', temp: 30, condition: 'Haze', airQuality: 4.5 };
+  assert.deepEqual(validateParams(templates.travelAdvice.params, body).errors, ['airQuality must be an integer']);
+  assert.deepEqual(validate(ROUTES.travelAdvice.body, body), ['airQuality must be an integer']);
+});
+
+test('the request schema declares AQI as an integer', () => {
+  assert.deepEqual(ROUTES.travelAdvice.body.properties.airQuality, { type: 'integer', minimum: 0, maximum: 5, nullable: true });
+});
+
+test('poor air raises a labelled travel alert', async () => {
+  assert.equal((await advice({ city: 'Delhi', temp: 30, condition: 'Haze', airQuality: 4 })).alert,
+    'Air quality is poor; limit time outdoors and consider a mask.');
+  assert.equal((await advice({ city: 'Delhi', temp: 30, condition: 'Haze', airQuality: 5 })).alert,
+    'Air quality is very poor; limit time outdoors and consider a mask.');
+});
+
+test('clear weather and clean air raise no alert', async () => {
+  assert.equal((await advice({ city: 'Lisbon', temp: 22, condition: 'Clear', airQuality: 1 })).alert, null);
+});
+
+test('the air alert level moves with the reader\'s air sensitivity', async () => {
+  const hazy = { city: 'Milan', temp: 22, condition: 'Clear' };
+  assert.equal((await advice({ ...hazy, airQuality: 3 })).alert, null);
+  assert.equal((await advice({ ...hazy, airQuality: 3, profile: { aqi: 'high' } })).alert,
+    'Air quality is moderate; limit time outdoors and consider a mask.');
+  assert.equal((await advice({ ...hazy, airQuality: 4, profile: { aqi: 'low' } })).alert, null);
+  assert.equal((await advice({ ...hazy, airQuality: 5, profile: { aqi: 'low' } })).alert,
+    'Air quality is very poor; limit time outdoors and consider a mask.');
+});
+
+test('a sensitive reader is sent indoors at a lower AQI', async () => {
+  const places = async profile => (await advice({ city: 'Milan', temp: 22, condition: 'Clear', airQuality: 3, profile })).places[0].name;
+  assert.equal(await places(), 'Old town of Milan');
+  assert.equal(await places({ aqi: 'high' }), 'Museums of Milan');
+});
+
+// ─── Temperature Extremes ────────────────────────────────────────────
+
+test('stay-in advice and the freezing alert start at the same temperature', async () => {
+  const { temperatureExtreme } = await import('../public/comfort.mjs');
+  assert.equal(temperatureExtreme(-1), 'cold');
+  const frozen = await advice({ city: 'Oslo', temp: -1, condition: 'Clear', airQuality: 1 });
+  assert.equal(frozen.alert, 'Freezing temperatures; cover exposed skin and watch for ice.');
+  assert.match(frozen.places[0].name, /^Museums/);
+
+  assert.equal(temperatureExtreme(1), null);
+  const chilly = await advice({ city: 'Oslo', temp: 1, condition: 'Clear', airQuality: 1 });
+  assert.equal(chilly.alert, null);
+  assert.match(chilly.places[0].name, /^Old town/);
+});
+
+test('stay-in advice and the heat alert start at the same temperature', async () => {
+  const hot = await advice({ city: 'Seville', temp: 38, condition: 'Clear', airQuality: 1 });
+  assert.equal(hot.alert, 'Extreme heat; stay hydrated and avoid the midday sun.');
+  assert.match(hot.places[0].name, /^Museums/);
+});
+
+test('a cold-sensitive reader gets the freezing alert and stay-in advice together', async () => {
+  const { temperatureExtreme } = await import('../public/comfort.mjs');
+  const profile = { cold: 'high' };
+  assert.equal(temperatureExtreme(2, profileShifts(profile)), 'cold');
+  const result = await advice({ city: 'Oslo', temp: 2, condition: 'Clear', airQuality: 1, profile });
+  assert.equal(result.alert, 'Freezing temperatures; cover exposed skin and watch for ice.');
+  assert.match(result.places[0].name, /^Museums/);
+});
+
+// ─── Compare Verdict ─────────────────────────────────────────────────
+
+const LISBON = { name: 'Lisbon', temp: 22, feelsLike: 22, humidity: 50, wind: 3, condition: 'clear sky', aqi: 1, visibility: 10000 };
+const OSLO = { name: 'Oslo', temp: 9, feelsLike: 5, humidity: 85, wind: 9, condition: 'light rain', aqi: 2, visibility: 3000 };
+
+const reader = profile => ({ profile: normalizeProfile(profile), shift: profileShifts(profile) });
+
+async function verdict(body) {
+  const { params, errors } = renderPrompt('compareVerdict', body);
+  assert.equal(errors, undefined);
+  return JSON.parse(await provider.generate({ template: 'compareVerdict', params }));
+}
+
+test('verdict scores match the pages\' comfort score', async () => {
+  const { comfortScore } = await import('../public/comfort.mjs');
+  const result = await verdict({ cityA: OSLO, cityB: LISBON });
+  assert.equal(result.winner, 'Lisbon');
+  assert.match(result.comparison, new RegExp(`Oslo ${comfortScore(OSLO, reader()).score}/10, Lisbon ${comfortScore(LISBON, reader()).score}/10`));
+});
+
+test('verdict scores follow the reader\'s profile', async () => {
+  const { comfortScore } = await import('../public/comfort.mjs');
+  const profile = { tempMin: 8, tempMax: 14, cold: 'low' };
+  const cool = { ...LISBON, name: 'Bergen', temp: 11, feelsLike: 11 };
+  const expected = comfortScore(cool, reader(profile)).score;
+  assert.notEqual(expected, comfortScore(cool, reader()).score);
+  assert.match((await verdict({ cityA: cool, cityB: OSLO, profile })).comparison, new RegExp(`Bergen ${expected}/10`));
+});